@@ -0,0 +1,108 @@
+/**
+ * Router Benchmark
+ * Compares the route tree used by Router.find with a linear scan that
+ * compiles a RegExp per route on every lookup (the previous approach).
+ *
+ * Usage: npm run bench
+ */
+
+const Router = require('../src/utils/router');
+const { parseRoute, compileRoute } = require('../src/utils/routePattern');
+
+const ROUTE_COUNTS = [10, 100, 1000];
+const LOOKUPS = 20000;
+
+// Linear matcher: scan every route, compile its pattern, test it
+class LinearMatcher {
+    constructor() {
+        this.routes = [];
+    }
+
+    get(path, handler) {
+        this.routes.push({ path, handler });
+    }
+
+    find(method, pathname) {
+        for (const route of this.routes) {
+            const params = compileRoute(parseRoute(route.path))(pathname);
+            if (params) {
+                return { handler: route.handler, params, path: route.path };
+            }
+        }
+        return null;
+    }
+}
+
+// Mix of static, param and nested param routes, like a typical REST API
+function buildRoutes(count) {
+    const routes = [];
+    for (let i = 0; routes.length < count; i++) {
+        routes.push(`/api/v1/resource${i}`);
+        routes.push(`/api/v1/resource${i}/:id`);
+        routes.push(`/api/v1/resource${i}/:id/items/:itemId`);
+    }
+    return routes.slice(0, count);
+}
+
+// Concrete request paths that hit the registered routes
+function buildPaths(routes) {
+    return routes.map(route => route
+        .replace(':id', '42')
+        .replace(':itemId', '7'));
+}
+
+function run(matcher, paths) {
+    // Warm up so the JIT settles before timing
+    for (let i = 0; i < 1000; i++) {
+        matcher.find('GET', paths[i % paths.length]);
+    }
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < LOOKUPS; i++) {
+        // Spread lookups evenly across the table
+        const path = paths[(i * 7919) % paths.length];
+        if (!matcher.find('GET', path)) {
+            throw new Error(`No match for ${path}`);
+        }
+    }
+    const elapsedNs = Number(process.hrtime.bigint() - start);
+
+    return {
+        opsPerSec: Math.round(LOOKUPS / (elapsedNs / 1e9)),
+        nsPerLookup: Math.round(elapsedNs / LOOKUPS)
+    };
+}
+
+function main() {
+    const handler = () => {};
+    const results = [];
+
+    for (const count of ROUTE_COUNTS) {
+        const routes = buildRoutes(count);
+        const paths = buildPaths(routes);
+
+        const linear = new LinearMatcher();
+        const router = new Router();
+        routes.forEach(route => {
+            linear.get(route, handler);
+            router.get(route, handler);
+        });
+
+        const linearResult = run(linear, paths);
+        const treeResult = run(router, paths);
+
+        results.push({
+            routes: count,
+            'linear ops/s': linearResult.opsPerSec,
+            'linear ns/op': linearResult.nsPerLookup,
+            'tree ops/s': treeResult.opsPerSec,
+            'tree ns/op': treeResult.nsPerLookup,
+            speedup: `${(treeResult.opsPerSec / linearResult.opsPerSec).toFixed(1)}x`
+        });
+    }
+
+    console.log(`Router lookup benchmark (${LOOKUPS} lookups per run, Node ${process.version})`);
+    console.table(results);
+}
+
+main();
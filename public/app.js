@@ -79,9 +79,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
                 },
-                body: new URLSearchParams({ 
-                    test: 'Hello Server!',
-                    timestamp: new Date().toISOString()
+                // The route validates the body against the 'message' schema;
+                // sending every field keeps its defaults out of the echo
+                body: new URLSearchParams({
+                    message: 'Hello Server!',
+                    user: 'Demo page',
+                    type: 'notification'
                 })
             });
             if (!postResponse.ok) {
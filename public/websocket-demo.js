@@ -167,6 +167,10 @@ class WebSocketDemo {
                 this.handleChatMessage(message.data);
                 break;
                 
+            case 'history':
+                this.handleHistoryMessage(message.data);
+                break;
+                
             case 'metrics':
                 this.handleMetricsMessage(message.data);
                 break;
@@ -180,7 +184,7 @@ class WebSocketDemo {
                 break;
                 
             case 'error':
-                this.log(`❌ Error: ${message.data.message}`);
+                this.log(`❌ Error: ${message.data.message}${message.data.details ? ` (${message.data.details.map(d => d.message).join('; ')})` : ''}`);
                 break;
                 
             default:
@@ -215,6 +219,15 @@ class WebSocketDemo {
         }
     }
 
+    handleHistoryMessage(data) {
+        // Earlier messages replayed on subscribe, oldest first
+        if (!data || !Array.isArray(data.messages)) return;
+        data.messages.forEach((entry) => {
+            const isYou = entry.clientId === this.clientId;
+            this.addChatMessage(entry.message, isYou ? 'You' : (entry.user || entry.from), isYou, entry.timestamp);
+        });
+    }
+
     handleMetricsMessage(data) {
         if (!data) return;
         
@@ -332,9 +345,7 @@ class WebSocketDemo {
         const chatMessage = {
             type: 'chat',
             data: {
-                message: message, // Standardized on 'message' field only
-                user: 'You',
-                from: 'You'
+                message: message // Standardized on 'message' field only; the server stamps the sender
             }
         };
         
@@ -393,8 +404,7 @@ class WebSocketDemo {
         const testMessage = {
             type: 'chat',
             data: {
-                message: 'This is a test broadcast message!',
-                user: 'Broadcast Test'
+                message: 'This is a test broadcast message!'
             }
         };
         
@@ -11,7 +11,12 @@ class CollaborativeWhiteboard {
         this.userColor = this.generateUserColor();
         this.drawingHistory = [];
         this.connectedUsers = new Map();
-        this.localDrawings = [];
+        // Board model: strokes the server knows by id, plus our own strokes
+        // still waiting for their draw-ack
+        this.strokes = new Map();
+        this.pendingStrokes = [];
+        this.currentStroke = null;
+        this.strokeRef = 0; // Echoed in draw-ack to match strokes to their ids
         
         this.initialize();
     }
@@ -116,8 +121,7 @@ class CollaborativeWhiteboard {
             this.ws.send(JSON.stringify({
                 type: 'chat',
                 data: {
-                    message: 'joined the whiteboard',
-                    user: 'System'
+                    message: 'joined the whiteboard'
                 }
             }));
         };
@@ -153,6 +157,18 @@ class CollaborativeWhiteboard {
                 this.handleDrawingData(message.data);
                 break;
                 
+            case 'draw-sync':
+                this.handleBoardSync(message.data);
+                break;
+                
+            case 'draw-ack':
+                this.handleDrawAck(message.data);
+                break;
+                
+            case 'error':
+                this.addDrawingHistory('System', message.data.message);
+                break;
+                
             case 'chat':
                 this.addDrawingHistory(message.data.user, message.data.message);
                 break;
@@ -166,9 +182,27 @@ class CollaborativeWhiteboard {
     }
 
     handleDrawingData(data) {
+        // Clear/undo/redo come back to everyone, us included
+        if (['clear', 'undo', 'redo'].includes(data.action)) {
+            this.handleBoardAction(data);
+            return;
+        }
+        
         // Don't draw our own drawings (they're already drawn locally)
         if (data.clientId === this.userId) return;
         
+        // Keep the stroke so the canvas can be redrawn after undo/redo
+        if (data.action === 'start' && data.strokeId) {
+            this.strokes.set(data.strokeId, {
+                id: data.strokeId,
+                color: data.color,
+                size: data.size,
+                points: [[data.x, data.y]]
+            });
+        } else if (data.action === 'draw' && this.strokes.has(data.strokeId)) {
+            this.strokes.get(data.strokeId).points.push([data.toX, data.toY]);
+        }
+        
         // Set drawing properties
         this.ctx.strokeStyle = data.color || '#000000';
         this.ctx.lineWidth = data.size || 5;
@@ -176,23 +210,77 @@ class CollaborativeWhiteboard {
         // Draw the stroke
         this.ctx.beginPath();
         
-        if (data.type === 'start') {
+        if (data.action === 'start') {
             this.ctx.moveTo(data.x, data.y);
-        } else if (data.type === 'draw') {
+        } else if (data.action === 'draw') {
             this.ctx.moveTo(data.fromX, data.fromY);
             this.ctx.lineTo(data.toX, data.toY);
             this.ctx.stroke();
-        } else if (data.type === 'end') {
+        } else if (data.action === 'end') {
             // Nothing to do on end
         }
         
         // Store in history
         this.addDrawingHistory(
-            `User_${data.clientId?.substring(0, 6) || 'unknown'}`,
+            `User_${data.clientId?.slice(-6) || 'unknown'}`,
             `drew with ${data.color}`
         );
     }
 
+    handleBoardAction(data) {
+        const who = data.clientId === this.userId
+            ? 'You'
+            : `User_${data.clientId?.slice(-6) || 'unknown'}`;
+        
+        if (data.action === 'clear') {
+            // Strokes started after the clear are still waiting for their ack
+            this.strokes.clear();
+            this.addDrawingHistory(who, 'cleared the canvas');
+        } else if (data.action === 'undo') {
+            this.strokes.delete(data.strokeId);
+            this.addDrawingHistory(who, 'undid a stroke');
+        } else if (data.action === 'redo') {
+            this.strokes.set(data.strokeId, data.stroke);
+            this.addDrawingHistory(who, 'redid a stroke');
+        }
+        
+        this.redrawBoard();
+    }
+
+    handleBoardSync(data) {
+        // The server's board replaces whatever was drawn before (re)connecting
+        this.strokes = new Map((data.strokes || []).map(stroke => [stroke.id, stroke]));
+        this.pendingStrokes = [];
+        this.redrawBoard();
+        
+        if (this.strokes.size > 0) {
+            this.addDrawingHistory('System', `Loaded ${this.strokes.size} strokes from the board`);
+        }
+    }
+
+    handleDrawAck(data) {
+        const index = this.pendingStrokes.findIndex(stroke => stroke.ref === data.ref);
+        if (index !== -1) {
+            const [stroke] = this.pendingStrokes.splice(index, 1);
+            stroke.id = data.strokeId;
+            this.strokes.set(stroke.id, stroke);
+        }
+    }
+
+    drawStroke(stroke) {
+        this.ctx.strokeStyle = stroke.color || '#000000';
+        this.ctx.lineWidth = stroke.size || 5;
+        this.ctx.beginPath();
+        stroke.points.forEach(([x, y], index) => {
+            if (index === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        this.ctx.stroke();
+    }
+
     bindEvents() {
         // Mouse events
         this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
@@ -221,7 +309,7 @@ class CollaborativeWhiteboard {
         // Window resize
         window.addEventListener('resize', () => {
             this.setupCanvas();
-            this.redrawLocalDrawings();
+            this.redrawBoard();
         });
     }
 
@@ -230,18 +318,18 @@ class CollaborativeWhiteboard {
         const pos = this.getMousePos(e);
         [this.lastX, this.lastY] = [pos.x, pos.y];
         
-        // Send start drawing event
-        this.sendDrawingData('start', pos.x, pos.y);
-        
-        // Store locally
-        this.localDrawings.push({
-            type: 'start',
-            x: pos.x,
-            y: pos.y,
+        // Store locally until the server acknowledges it with an id
+        this.currentStroke = {
+            id: null,
+            ref: ++this.strokeRef,
             color: this.currentColor,
             size: this.currentBrushSize,
-            timestamp: Date.now()
-        });
+            points: [[pos.x, pos.y]]
+        };
+        this.pendingStrokes.push(this.currentStroke);
+        
+        // Send start drawing event
+        this.sendDrawingData('start', pos.x, pos.y);
     }
 
     draw(e) {
@@ -263,16 +351,9 @@ class CollaborativeWhiteboard {
         this.sendDrawingData('draw', pos.x, pos.y, this.lastX, this.lastY);
         
         // Store locally
-        this.localDrawings.push({
-            type: 'draw',
-            fromX: this.lastX,
-            fromY: this.lastY,
-            toX: pos.x,
-            toY: pos.y,
-            color: this.currentColor,
-            size: this.currentBrushSize,
-            timestamp: Date.now()
-        });
+        if (this.currentStroke) {
+            this.currentStroke.points.push([pos.x, pos.y]);
+        }
         
         [this.lastX, this.lastY] = [pos.x, pos.y];
     }
@@ -282,25 +363,20 @@ class CollaborativeWhiteboard {
         
         this.drawing = false;
         this.sendDrawingData('end', this.lastX, this.lastY);
-        
-        this.localDrawings.push({
-            type: 'end',
-            timestamp: Date.now()
-        });
+        this.currentStroke = null;
     }
 
-    sendDrawingData(type, x, y, fromX = null, fromY = null) {
+    sendDrawingData(action, x, y, fromX = null, fromY = null) {
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
         
         const drawingData = {
             type: 'draw',
             data: {
-                type: type,
+                action: action,
                 x: x,
                 y: y,
                 color: this.currentColor,
-                size: this.currentBrushSize,
-                clientId: this.userId
+                size: this.currentBrushSize
             }
         };
         
@@ -311,6 +387,10 @@ class CollaborativeWhiteboard {
             drawingData.data.toY = y;
         }
         
+        if (action === 'start' && this.currentStroke) {
+            drawingData.data.ref = this.currentStroke.ref;
+        }
+        
         this.ws.send(JSON.stringify(drawingData));
     }
 
@@ -330,69 +410,41 @@ class CollaborativeWhiteboard {
         this.currentBrushSize = size;
     }
 
-    clearCanvas() {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Clear local drawings
-        this.localDrawings = [];
-        
-        // Notify others
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'chat',
-                data: {
-                    message: 'cleared the canvas',
-                    user: 'System'
-                }
-            }));
+    // Board changes go through the server, which broadcasts the result to
+    // everyone (us included) - the canvas is redrawn when it arrives
+    sendBoardAction(action) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.addDrawingHistory('System', 'Not connected');
+            return;
         }
-        
-        this.addDrawingHistory('System', 'Canvas cleared');
+        this.ws.send(JSON.stringify({
+            type: 'draw',
+            data: { action: action }
+        }));
+    }
+
+    clearCanvas() {
+        this.sendBoardAction('clear');
     }
 
     undoLast() {
-        if (this.localDrawings.length === 0) return;
-        
-        // Find and remove last drawing segment
-        let lastEndIndex = -1;
-        for (let i = this.localDrawings.length - 1; i >= 0; i--) {
-            if (this.localDrawings[i].type === 'end') {
-                lastEndIndex = i;
-                break;
-            }
-        }
-        
-        if (lastEndIndex !== -1) {
-            // Remove drawings from last segment
-            this.localDrawings.splice(lastEndIndex);
-            
-            // Redraw everything
-            this.redrawLocalDrawings();
-            
-            this.addDrawingHistory('You', 'Undid last drawing');
-        }
+        this.sendBoardAction('undo');
     }
 
-    redrawLocalDrawings() {
+    redoLast() {
+        this.sendBoardAction('redo');
+    }
+
+    redrawBoard() {
         // Clear canvas
         this.ctx.fillStyle = '#ffffff';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Redraw all local drawings
-        this.localDrawings.forEach(drawing => {
-            this.ctx.strokeStyle = drawing.color || '#000000';
-            this.ctx.lineWidth = drawing.size || 5;
-            
-            if (drawing.type === 'start') {
-                // Nothing to draw for start
-            } else if (drawing.type === 'draw') {
-                this.ctx.beginPath();
-                this.ctx.moveTo(drawing.fromX, drawing.fromY);
-                this.ctx.lineTo(drawing.toX, drawing.toY);
-                this.ctx.stroke();
-            }
-        });
+        // Strokes in the order the server numbered them, then ours in flight
+        Array.from(this.strokes.values())
+            .sort((a, b) => a.id - b.id)
+            .forEach(stroke => this.drawStroke(stroke));
+        this.pendingStrokes.forEach(stroke => this.drawStroke(stroke));
     }
 
     saveDrawing() {
@@ -484,6 +536,10 @@ function undoLast() {
     if (whiteboard) whiteboard.undoLast();
 }
 
+function redoLast() {
+    if (whiteboard) whiteboard.redoLast();
+}
+
 function saveDrawing() {
     if (whiteboard) whiteboard.saveDrawing();
 }
@@ -0,0 +1,55 @@
+/**
+ * API Keys
+ * Loads API keys from a JSON file:
+ *
+ *   [
+ *     { "id": "ci-bot", "name": "CI Bot", "roles": ["admin"], "key": "..." },
+ *     { "id": "monitor", "hash": "<sha256 hex of the key>" }
+ *   ]
+ *
+ * Entries may hold the plain key or only its SHA-256 hash, so the file
+ * doesn't have to contain usable secrets. Keys are looked up by hash.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Read the key file into a Map of key hash -> user
+ */
+function loadApiKeys(filePath, { cwd = process.cwd() } = {}) {
+    const resolved = path.resolve(cwd, filePath);
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load API key file ${resolved}: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(`API key file ${resolved} must contain an array of keys`);
+    }
+
+    const keys = new Map();
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || (!entry.key && !entry.hash)) {
+            throw new Error(`API key file ${resolved}: entry ${index} needs an "id" and a "key" or "hash"`);
+        }
+        const hash = entry.hash ? String(entry.hash).toLowerCase() : hashKey(entry.key);
+        keys.set(hash, {
+            id: entry.id,
+            name: entry.name || entry.id,
+            roles: Array.isArray(entry.roles) ? entry.roles : []
+        });
+    });
+    return keys;
+}
+
+module.exports = {
+    loadApiKeys,
+    hashKey
+};
@@ -0,0 +1,22 @@
+/**
+ * HMAC Signatures
+ * HMAC-SHA256 in base64url, shared by JWTs and session cookies
+ */
+
+const crypto = require('crypto');
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Constant-time check of a signature produced by sign()
+function verifySignature(data, signature, secret) {
+    const expected = Buffer.from(sign(data, secret));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+    sign,
+    verifySignature
+};
@@ -0,0 +1,170 @@
+/**
+ * Authentication
+ * Resolves the caller's identity for HTTP requests and WebSocket upgrades
+ * from, in order:
+ *   1. Authorization: Bearer <token>  - HS256 JWT (auth.jwt.secret) or API key
+ *   2. X-API-Key: <key>               - API key (auth.apiKeysFile)
+ *   3. ?access_token=<token>          - upgrades only, browsers can't set headers there
+ *   4. signed session cookie          - auth.session.secret
+ *
+ * Identities look like { id, name, roles, via }.
+ */
+
+const { verifyJwt } = require('./jwt');
+const { loadApiKeys, hashKey } = require('./apiKeys');
+const { parseCookies, createSession, verifySession } = require('./session');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Identity for a WebSocket client that didn't authenticate. Client ids
+ * start with a timestamp, so the name comes from their random tail.
+ */
+function anonymousUser(clientId) {
+    return {
+        id: `anonymous:${clientId}`,
+        name: `User_${clientId.slice(-6)}`,
+        roles: [],
+        via: 'anonymous',
+        anonymous: true
+    };
+}
+
+function createAuth(options = {}) {
+    const { jwt = {}, session = {}, apiKeysFile = null, required = false } = options;
+    const apiKeys = apiKeysFile ? loadApiKeys(apiKeysFile) : null;
+
+    const methods = [
+        jwt.secret && 'jwt',
+        apiKeys && 'apiKey',
+        session.secret && 'session'
+    ].filter(Boolean);
+    if (required && methods.length === 0) {
+        throw new Error('auth.required is set but no authentication method is configured (auth.jwt.secret, auth.apiKeysFile or auth.session.secret)');
+    }
+
+    function fromApiKey(key) {
+        const user = apiKeys && apiKeys.get(hashKey(key));
+        if (!user) {
+            throw httpError(401, 'Invalid API key');
+        }
+        return { ...user, via: 'apiKey' };
+    }
+
+    // A bearer token is a JWT when it has three parts, otherwise an API key
+    function fromBearer(token) {
+        if (jwt.secret && token.split('.').length === 3) {
+            const claims = verifyJwt(token, jwt.secret, jwt);
+            if (claims.sub === undefined || claims.sub === null) {
+                throw httpError(401, 'Token has no subject');
+            }
+            return {
+                id: String(claims.sub),
+                name: String(claims.name || claims.preferred_username || claims.sub),
+                roles: Array.isArray(claims.roles) ? claims.roles : [],
+                via: 'jwt'
+            };
+        }
+        if (apiKeys) {
+            return fromApiKey(token);
+        }
+        throw httpError(401, 'Invalid credentials');
+    }
+
+    /**
+     * Identity for a request, or null when it carries no credentials.
+     * Throws a 401 error when credentials are present but invalid.
+     */
+    function authenticate(req, { allowQueryToken = false } = {}) {
+        if (methods.length === 0) {
+            return null;
+        }
+
+        const header = req.headers.authorization;
+        if (header) {
+            const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+            if (!match) {
+                throw httpError(401, 'Unsupported authorization scheme');
+            }
+            return fromBearer(match[1]);
+        }
+
+        if (req.headers['x-api-key']) {
+            return fromApiKey(req.headers['x-api-key']);
+        }
+
+        if (allowQueryToken) {
+            const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+            if (token) {
+                return fromBearer(token);
+            }
+        }
+
+        if (session.secret) {
+            const value = parseCookies(req.headers.cookie)[session.cookieName];
+            const user = value ? verifySession(value, session.secret) : null;
+            // An expired or tampered cookie just means "not logged in"
+            if (user) {
+                return { ...user, via: 'session' };
+            }
+        }
+
+        return null;
+    }
+
+    // HTTP middleware: sets req.user (null when anonymous). Invalid
+    // credentials are kept on req.authError and only rejected by requireAuth,
+    // so routes with their own guards (admin token) keep working.
+    function middleware(req, res, next) {
+        req.user = null;
+        req.authError = null;
+        try {
+            req.user = authenticate(req);
+        } catch (error) {
+            req.authError = error;
+        }
+        next();
+    }
+
+    // Route guard: 401 unless the request authenticated
+    function requireAuth(req, res, next) {
+        if (req.user) {
+            return next();
+        }
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return next(req.authError || httpError(401, 'Authentication required'));
+    }
+
+    // Issue a signed session cookie for a user
+    function startSession(res, user) {
+        res.cookie(session.cookieName, createSession(user, session.secret, session.maxAge), {
+            maxAge: session.maxAge,
+            httpOnly: true,
+            sameSite: 'Lax',
+            secure: session.secure
+        });
+    }
+
+    function endSession(res) {
+        res.cookie(session.cookieName, '', {
+            maxAge: 0,
+            httpOnly: true,
+            sameSite: 'Lax',
+            secure: session.secure
+        });
+    }
+
+    return {
+        methods,
+        required,
+        authenticate,
+        middleware,
+        requireAuth,
+        startSession,
+        endSession
+    };
+}
+
+module.exports = {
+    createAuth,
+    anonymousUser
+};
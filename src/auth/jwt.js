@@ -0,0 +1,84 @@
+/**
+ * JSON Web Tokens (HS256)
+ * Minimal signing and local verification of HMAC-SHA256 JWTs
+ */
+
+const { sign, verifySignature } = require('./hmac');
+const { httpError } = require('../utils/httpError');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Sign a payload. expiresIn is in seconds.
+ */
+function signJwt(payload, secret, { expiresIn = null } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { iat: now, ...payload };
+    if (expiresIn !== null) {
+        claims.exp = now + expiresIn;
+    }
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(claims));
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify signature and standard claims, returning the payload.
+ * Options: issuer, audience, clockTolerance (seconds)
+ */
+function verifyJwt(token, secret, { issuer = null, audience = null, clockTolerance = 0 } = {}) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw httpError(401, 'Malformed token');
+    }
+    const [header, body, signature] = parts;
+
+    let decodedHeader;
+    let payload;
+    try {
+        decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+        throw httpError(401, 'Malformed token');
+    }
+
+    // Never let the token choose its own algorithm
+    if (!decodedHeader || decodedHeader.alg !== 'HS256') {
+        throw httpError(401, 'Unsupported token algorithm');
+    }
+
+    if (!verifySignature(`${header}.${body}`, signature, secret)) {
+        throw httpError(401, 'Invalid token signature');
+    }
+
+    if (!payload || typeof payload !== 'object') {
+        throw httpError(401, 'Malformed token');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === 'number' && now > payload.exp + clockTolerance) {
+        throw httpError(401, 'Token expired');
+    }
+    if (typeof payload.nbf === 'number' && now + clockTolerance < payload.nbf) {
+        throw httpError(401, 'Token not yet valid');
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw httpError(401, 'Invalid token issuer');
+    }
+    if (audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(audience)) {
+            throw httpError(401, 'Invalid token audience');
+        }
+    }
+
+    return payload;
+}
+
+module.exports = {
+    signJwt,
+    verifyJwt
+};
@@ -0,0 +1,68 @@
+/**
+ * Authorization Policy
+ * Maps roles to permissions. Permissions are strings such as
+ * "subscribe:metrics", "publish:chat", "room:team-1", "whiteboard:clear",
+ * "upload", "stats:read" or "admin"; a trailing "*" matches any suffix
+ * ("subscribe:*", "room:team-*", "*").
+ *
+ * Every caller has the "anonymous" role, or the "user" role plus the roles
+ * carried by its identity (JWT "roles" claim, API key entry, session).
+ */
+
+const { httpError } = require('../utils/httpError');
+
+// 403 for a missing permission
+function forbidden(permission) {
+    return httpError(403, `Permission denied: ${permission}`, { permission });
+}
+
+function matches(pattern, permission) {
+    if (pattern.endsWith('*')) {
+        return permission.startsWith(pattern.slice(0, -1));
+    }
+    return pattern === permission;
+}
+
+function createPolicy(roles = {}) {
+    // Roles that apply to a caller
+    function rolesFor(user) {
+        if (!user || user.anonymous) {
+            return ['anonymous'];
+        }
+        return ['user', ...(user.roles || [])];
+    }
+
+    function permissionsFor(user) {
+        const permissions = new Set();
+        rolesFor(user).forEach((role) => {
+            (roles[role] || []).forEach(permission => permissions.add(permission));
+        });
+        return Array.from(permissions);
+    }
+
+    function can(user, permission) {
+        return permissionsFor(user).some(pattern => matches(pattern, permission));
+    }
+
+    // Route guard: 403 unless req.user has the permission
+    function requirePermission(permission) {
+        return function checkPermission(req, res, next) {
+            if (can(req.user, permission)) {
+                return next();
+            }
+            return next(forbidden(permission));
+        };
+    }
+
+    return {
+        rolesFor,
+        permissionsFor,
+        can,
+        requirePermission
+    };
+}
+
+module.exports = {
+    createPolicy,
+    forbidden
+};
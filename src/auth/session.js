@@ -0,0 +1,74 @@
+/**
+ * Signed Session Cookies
+ * Stateless sessions: the cookie holds the user and an expiry, signed with
+ * HMAC-SHA256 so it can't be altered by the client
+ */
+
+const { sign, verifySignature } = require('./hmac');
+
+/**
+ * Parse a Cookie request header into { name: value }
+ */
+function parseCookies(header = '') {
+    const cookies = {};
+    String(header).split(';').forEach((pair) => {
+        const index = pair.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim().replace(/^"|"$/g, '');
+        if (name && !(name in cookies)) {
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch {
+                cookies[name] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Create a signed session value for a user. maxAge is in milliseconds.
+ */
+function createSession(user, secret, maxAge) {
+    const data = Buffer.from(JSON.stringify({
+        id: user.id,
+        name: user.name,
+        roles: user.roles || [],
+        exp: Date.now() + maxAge
+    })).toString('base64url');
+    return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verify a session value, returning the user or null if it is invalid or expired
+ */
+function verifySession(value, secret) {
+    const [data, signature, extra] = String(value).split('.');
+    if (!data || !signature || extra !== undefined) {
+        return null;
+    }
+
+    if (!verifySignature(data, signature, secret)) {
+        return null;
+    }
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (!session || typeof session.exp !== 'number' || session.exp < Date.now()) {
+        return null;
+    }
+    return { id: session.id, name: session.name, roles: session.roles || [] };
+}
+
+module.exports = {
+    parseCookies,
+    createSession,
+    verifySession
+};
@@ -0,0 +1,205 @@
+/**
+ * Cluster Adapter
+ * Connects the WebSocket layer of several server processes so a message
+ * published on one node reaches subscribers on every node. Each node
+ * shares three things with its peers:
+ *
+ *   publish     hub messages ({ topic, payload, exceptClientId })
+ *   membership  room joins and leaves, as they happen
+ *   state       connection/request counts and the node's full room
+ *               membership, every heartbeatInterval (heals missed updates)
+ *
+ * A node that sends nothing for three heartbeats is forgotten.
+ *
+ * This base class holds the protocol and peer bookkeeping and, on its own,
+ * is the single-node adapter (nothing is sent anywhere). Transports extend
+ * it by implementing connect(), disconnect() and send(message), and by
+ * calling receive(message) for every message from a peer:
+ *   IpcAdapter     Node's cluster IPC (src/cluster/ipcAdapter.js)
+ *   TcpBusAdapter  a TCP or Unix socket bus (src/cluster/tcpBus.js)
+ *
+ * Events: 'publish' ({ topic, payload, exceptClientId }) for messages from peers
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { logger } = require('../utils/logger');
+
+class ClusterAdapter extends EventEmitter {
+    constructor({ nodeId = null, heartbeatInterval = 2000 } = {}) {
+        super();
+        this.nodeId = nodeId || `${os.hostname()}:${process.pid}`;
+        this.heartbeatInterval = heartbeatInterval;
+        this.nodeTimeout = heartbeatInterval * 3;
+        this.nodes = new Map(); // nodeId -> { stats, rooms: Map(room -> Map(clientId -> member)), lastSeen }
+        this.getState = null;
+        this.heartbeatTimer = null;
+    }
+
+    // Transport hooks; the base adapter has no peers
+    async connect() {}
+
+    async disconnect() {}
+
+    send() {}
+
+    /**
+     * Join the cluster. getState() returns this node's
+     * { stats: { connections, totalRequests, requestsPerSecond }, rooms: { name: [member] } }.
+     */
+    async start(getState) {
+        this.getState = getState;
+        await this.connect();
+        this.sendState();
+        this.heartbeatTimer = setInterval(() => {
+            this.sendState();
+            this.expireNodes();
+        }, this.heartbeatInterval);
+        // Heartbeats alone shouldn't keep the process alive
+        this.heartbeatTimer.unref();
+    }
+
+    async stop() {
+        if (!this.getState) {
+            return;
+        }
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.send({ kind: 'leave', node: this.nodeId });
+        await this.disconnect();
+        this.nodes.clear();
+        this.getState = null;
+    }
+
+    // Forward a hub message to the other nodes
+    publish(topic, payload, exceptClientId = null) {
+        this.send({ kind: 'publish', node: this.nodeId, topic, payload, exceptClientId });
+    }
+
+    roomJoined(room, member) {
+        this.send({ kind: 'membership', node: this.nodeId, event: 'join', room, member });
+    }
+
+    roomLeft(room, member) {
+        this.send({ kind: 'membership', node: this.nodeId, event: 'leave', room, member });
+    }
+
+    sendState() {
+        if (this.getState) {
+            this.send({ kind: 'state', node: this.nodeId, ...this.getState() });
+        }
+    }
+
+    // Peer entry, created on first contact
+    peer(nodeId) {
+        let node = this.nodes.get(nodeId);
+        if (!node) {
+            node = { stats: { connections: 0, totalRequests: 0, requestsPerSecond: 0 }, rooms: new Map(), lastSeen: 0 };
+            this.nodes.set(nodeId, node);
+        }
+        node.lastSeen = Date.now();
+        return node;
+    }
+
+    // Handle a message from a peer
+    receive(message) {
+        if (!message || typeof message !== 'object' || !message.node || message.node === this.nodeId) {
+            return;
+        }
+
+        switch (message.kind) {
+            case 'publish':
+                this.peer(message.node);
+                this.emit('publish', {
+                    topic: message.topic,
+                    payload: message.payload,
+                    exceptClientId: message.exceptClientId
+                });
+                break;
+
+            case 'membership': {
+                const { rooms } = this.peer(message.node);
+                const members = rooms.get(message.room) || new Map();
+                if (message.event === 'join') {
+                    members.set(message.member.clientId, message.member);
+                } else {
+                    members.delete(message.member.clientId);
+                }
+                if (members.size > 0) {
+                    rooms.set(message.room, members);
+                } else {
+                    rooms.delete(message.room);
+                }
+                break;
+            }
+
+            case 'state': {
+                const node = this.peer(message.node);
+                node.stats = message.stats;
+                node.rooms = new Map(Object.entries(message.rooms || {}).map(([room, members]) => [
+                    room,
+                    new Map(members.map(member => [member.clientId, member]))
+                ]));
+                break;
+            }
+
+            case 'leave':
+                this.nodes.delete(message.node);
+                break;
+        }
+    }
+
+    // Forget peers that stopped sending state
+    expireNodes(now = Date.now()) {
+        this.nodes.forEach((node, nodeId) => {
+            if (now - node.lastSeen > this.nodeTimeout) {
+                logger.warn('Cluster node timed out', { nodeId });
+                this.nodes.delete(nodeId);
+            }
+        });
+    }
+
+    // Members of a room on other nodes
+    remoteMembers(room) {
+        const members = [];
+        this.nodes.forEach((node) => {
+            const roomMembers = node.rooms.get(room);
+            if (roomMembers) {
+                members.push(...roomMembers.values());
+            }
+        });
+        return members;
+    }
+
+    // Member counts of every room on other nodes: Map(room -> count)
+    remoteRooms() {
+        const counts = new Map();
+        this.nodes.forEach((node) => {
+            node.rooms.forEach((members, room) => {
+                counts.set(room, (counts.get(room) || 0) + members.size);
+            });
+        });
+        return counts;
+    }
+
+    // Each other node's last reported stats: [{ nodeId, ...stats }]
+    nodeStats() {
+        return Array.from(this.nodes, ([nodeId, { stats }]) => ({ nodeId, ...stats }))
+            .sort((a, b) => a.nodeId.localeCompare(b.nodeId));
+    }
+
+    // Sum of the other nodes' stats
+    remoteStats() {
+        const totals = { nodes: this.nodes.size, connections: 0, totalRequests: 0, requestsPerSecond: 0 };
+        this.nodes.forEach(({ stats }) => {
+            totals.connections += stats.connections || 0;
+            totals.totalRequests += stats.totalRequests || 0;
+            totals.requestsPerSecond += stats.requestsPerSecond || 0;
+        });
+        return totals;
+    }
+}
+
+module.exports = {
+    ClusterAdapter
+};
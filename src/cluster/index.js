@@ -0,0 +1,54 @@
+/**
+ * Cluster
+ * Picks the adapter that links this server to its peers (see ./adapter.js):
+ *   'none'  single process; nothing leaves this node
+ *   'ipc'   workers of one Node cluster primary
+ *   'tcp'   any processes sharing a TCP or Unix socket bus
+ * A custom transport is passed as an adapter object extending ClusterAdapter.
+ *
+ * With cluster.workers the primary runs a Supervisor instead of a server
+ * (see ./supervisor.js).
+ */
+
+const { ClusterAdapter } = require('./adapter');
+const { IpcAdapter, relayIpcMessages } = require('./ipcAdapter');
+const { TcpBusAdapter } = require('./tcpBus');
+const { Supervisor, isSupervisedWorker, workerSlot, CONTROL_CHANNEL } = require('./supervisor');
+
+/**
+ * Workers forked by a Supervisor use 'ipc' unless another transport is
+ * configured, and keep distinct node ids even when one is configured.
+ */
+function createClusterAdapter({ adapter = 'none', ...options } = {}) {
+    if (isSupervisedWorker()) {
+        if (adapter === 'none') {
+            adapter = 'ipc';
+        }
+        if (options.nodeId) {
+            options.nodeId = `${options.nodeId}:${process.pid}`;
+        }
+    }
+
+    if (adapter && typeof adapter === 'object') {
+        return adapter;
+    }
+    if (adapter === 'ipc') {
+        return new IpcAdapter(options);
+    }
+    if (adapter === 'tcp') {
+        return new TcpBusAdapter(options);
+    }
+    return new ClusterAdapter(options);
+}
+
+module.exports = {
+    createClusterAdapter,
+    relayIpcMessages,
+    Supervisor,
+    isSupervisedWorker,
+    workerSlot,
+    CONTROL_CHANNEL,
+    ClusterAdapter,
+    IpcAdapter,
+    TcpBusAdapter
+};
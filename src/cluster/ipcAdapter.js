@@ -0,0 +1,85 @@
+/**
+ * Cluster IPC Adapter
+ * Links worker processes started with Node's cluster module. Workers send
+ * adapter messages to the primary over IPC and the primary relays each one
+ * to every other worker (relayIpcMessages). When a worker exits, the
+ * primary tells the others so its rooms and counts disappear at once.
+ */
+
+const { ClusterAdapter } = require('./adapter');
+const { logger } = require('../utils/logger');
+
+// Key that marks adapter messages among other IPC traffic
+const IPC_CHANNEL = 'webserver:cluster';
+
+class IpcAdapter extends ClusterAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.onMessage = (envelope) => {
+            if (envelope && envelope[IPC_CHANNEL]) {
+                this.receive(envelope[IPC_CHANNEL]);
+            }
+        };
+    }
+
+    async connect() {
+        if (typeof process.send !== 'function') {
+            throw new Error('The "ipc" cluster adapter only works in a cluster worker (no IPC channel to a primary)');
+        }
+        process.on('message', this.onMessage);
+    }
+
+    async disconnect() {
+        process.removeListener('message', this.onMessage);
+    }
+
+    send(message) {
+        if (!process.connected) {
+            return;
+        }
+        process.send({ [IPC_CHANNEL]: message }, (error) => {
+            if (error) {
+                logger.error('Cluster IPC send failed', { error: error.message });
+            }
+        });
+    }
+}
+
+/**
+ * Primary side: relay adapter messages between workers. Call once in the
+ * primary with the cluster module.
+ */
+function relayIpcMessages(cluster) {
+    const workerNodes = new Map(); // worker.id -> nodeId
+
+    function relay(from, envelope) {
+        Object.values(cluster.workers).forEach((worker) => {
+            if (worker && worker !== from && worker.isConnected()) {
+                worker.send(envelope);
+            }
+        });
+    }
+
+    cluster.on('message', (worker, envelope) => {
+        const message = envelope && envelope[IPC_CHANNEL];
+        if (!message) {
+            return;
+        }
+        workerNodes.set(worker.id, message.node);
+        relay(worker, envelope);
+    });
+
+    cluster.on('exit', (worker) => {
+        const nodeId = workerNodes.get(worker.id);
+        workerNodes.delete(worker.id);
+        if (nodeId) {
+            relay(worker, { [IPC_CHANNEL]: { kind: 'leave', node: nodeId } });
+        }
+    });
+}
+
+module.exports = {
+    IpcAdapter,
+    relayIpcMessages,
+    IPC_CHANNEL
+};
@@ -0,0 +1,239 @@
+/**
+ * Worker Supervisor
+ * Runs in the cluster primary when cluster.workers is set: forks the
+ * workers (which share the listening port), relays their cluster adapter
+ * messages, restarts crashed workers and replaces them one at a time on
+ * SIGHUP.
+ *
+ * Crashed workers come back after restartDelay, doubling for every crash
+ * in a row up to maxRestartDelay; a worker that stayed up longer than
+ * maxRestartDelay resets the backoff.
+ *
+ * A rolling restart forks a replacement, waits until it listens, then
+ * asks the old worker to drain (WebServer.shutdown) - so at least one
+ * worker always holds the port.
+ *
+ * Every worker gets a slot, the lowest one no live worker holds, out of
+ * one more than the worker count (a rolling restart briefly runs an extra
+ * worker). Workers use it to keep chat ids unique across the cluster and
+ * to give file stores one file per slot, so no two live workers share one.
+ *
+ * Events: 'fork' (worker), 'exit' (worker, code, signal), 'reloaded', 'stopped'
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { relayIpcMessages } = require('./ipcAdapter');
+const { logger } = require('../utils/logger');
+
+// Set in the environment of every worker the supervisor forks
+const WORKER_ENV = 'WEBSERVER_WORKER';
+// The worker's slot and the number of slots, also set by the supervisor
+const SLOT_ENV = 'WEBSERVER_WORKER_SLOT';
+const SLOTS_ENV = 'WEBSERVER_WORKER_SLOTS';
+// Key of supervisor -> worker control messages
+const CONTROL_CHANNEL = 'webserver:control';
+
+const KILL_GRACE = 5000; // Past the drain timeout before a retiring worker is killed
+
+// 'auto' -> one worker per CPU core
+function resolveWorkerCount(workers) {
+    if (workers === 'auto') {
+        return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    }
+    return workers;
+}
+
+// True in a worker forked by a Supervisor
+function isSupervisedWorker() {
+    return process.env[WORKER_ENV] === '1';
+}
+
+// { slot, slots } in a worker forked by a Supervisor, null otherwise
+function workerSlot() {
+    if (!isSupervisedWorker()) {
+        return null;
+    }
+    return { slot: Number(process.env[SLOT_ENV]), slots: Number(process.env[SLOTS_ENV]) };
+}
+
+class Supervisor extends EventEmitter {
+    constructor(cluster, { workers = 'auto', restartDelay = 1000, maxRestartDelay = 30000, shutdownTimeout = 10000 } = {}) {
+        super();
+        this.cluster = cluster;
+        this.size = resolveWorkerCount(workers);
+        this.slots = this.size + 1;
+        this.restartDelay = restartDelay;
+        this.maxRestartDelay = maxRestartDelay;
+        this.shutdownTimeout = shutdownTimeout;
+        this.workers = new Map();   // worker.id -> { worker, startedAt, slot }
+        this.retiring = new Set();  // worker ids asked to exit
+        this.restartTimers = new Set();
+        this.crashes = 0;           // Crashes in a row, for the backoff
+        this.reloading = null;
+        this.stopping = null;
+        this.onExit = (worker, code, signal) => this.handleExit(worker, code, signal);
+    }
+
+    start() {
+        relayIpcMessages(this.cluster);
+        this.cluster.on('exit', this.onExit);
+        for (let i = 0; i < this.size; i++) {
+            this.fork();
+        }
+    }
+
+    // Lowest slot no live worker holds
+    freeSlot() {
+        const taken = new Set(Array.from(this.workers.values(), entry => entry.slot));
+        let slot = 0;
+        while (taken.has(slot)) {
+            slot++;
+        }
+        return slot;
+    }
+
+    fork() {
+        const slot = this.freeSlot();
+        const worker = this.cluster.fork({
+            [WORKER_ENV]: '1',
+            [SLOT_ENV]: String(slot),
+            [SLOTS_ENV]: String(this.slots)
+        });
+        this.workers.set(worker.id, { worker, startedAt: Date.now(), slot });
+        this.emit('fork', worker);
+        return worker;
+    }
+
+    handleExit(worker, code, signal) {
+        const entry = this.workers.get(worker.id);
+        this.workers.delete(worker.id);
+        this.emit('exit', worker, code, signal);
+        if (this.retiring.delete(worker.id) || this.stopping || !entry) {
+            return;
+        }
+
+        if (Date.now() - entry.startedAt > this.maxRestartDelay) {
+            this.crashes = 0;
+        }
+        const delay = Math.min(this.restartDelay * 2 ** this.crashes, this.maxRestartDelay);
+        this.crashes++;
+        logger.error('Worker died, restarting', {
+            pid: worker.process.pid,
+            code,
+            signal: signal || undefined,
+            delayMs: delay
+        });
+
+        const timer = setTimeout(() => {
+            this.restartTimers.delete(timer);
+            this.fork();
+        }, delay);
+        this.restartTimers.add(timer);
+    }
+
+    // Ask a worker to drain and exit; resolves once it has exited
+    retire(worker) {
+        return new Promise((resolve) => {
+            this.retiring.add(worker.id);
+            const killTimer = setTimeout(() => {
+                logger.warn('Worker did not exit after draining, killing it', { pid: worker.process.pid });
+                worker.process.kill('SIGKILL');
+            }, this.shutdownTimeout + KILL_GRACE);
+            worker.once('exit', () => {
+                clearTimeout(killTimer);
+                resolve();
+            });
+            if (worker.isConnected()) {
+                worker.send({ [CONTROL_CHANNEL]: { command: 'shutdown' } });
+            } else {
+                worker.process.kill('SIGTERM');
+            }
+        });
+    }
+
+    /**
+     * Replace every worker, one at a time. Stops early (keeping the old
+     * workers) if a replacement exits before it listens.
+     */
+    reload() {
+        if (!this.reloading) {
+            this.reloading = this.rollWorkers().finally(() => {
+                this.reloading = null;
+            });
+        }
+        return this.reloading;
+    }
+
+    async rollWorkers() {
+        const current = Array.from(this.workers.values(), entry => entry.worker);
+        logger.info('Rolling restart started', { workers: current.length });
+        for (const old of current) {
+            if (this.stopping) {
+                return;
+            }
+            const replacement = this.fork();
+            const listening = await new Promise((resolve) => {
+                const onListening = () => {
+                    replacement.removeListener('exit', onExit);
+                    resolve(true);
+                };
+                const onExit = () => {
+                    replacement.removeListener('listening', onListening);
+                    resolve(false);
+                };
+                replacement.once('listening', onListening);
+                replacement.once('exit', onExit);
+            });
+            if (!listening) {
+                logger.error('Replacement worker exited before listening, rolling restart aborted', {
+                    pid: replacement.process.pid
+                });
+                return;
+            }
+            if (old.isDead()) {
+                continue;
+            }
+            await this.retire(old);
+        }
+        this.crashes = 0;
+        logger.info('Rolling restart complete');
+        this.emit('reloaded');
+    }
+
+    // Drain every worker and stop restarting them
+    stop() {
+        if (!this.stopping) {
+            this.restartTimers.forEach(timer => clearTimeout(timer));
+            this.restartTimers.clear();
+            const workers = Array.from(this.workers.values(), entry => entry.worker);
+            this.stopping = Promise.all(workers.map(worker => this.retire(worker))).then(() => {
+                this.cluster.removeListener('exit', this.onExit);
+                this.emit('stopped');
+            });
+        }
+        return this.stopping;
+    }
+
+    // SIGHUP reloads; SIGINT/SIGTERM drain the workers and exit
+    handleSignals() {
+        process.on('SIGHUP', () => this.reload());
+        const onStop = async (signal) => {
+            logger.info('Signal received, draining workers', { signal });
+            await this.stop();
+            logger.info('All workers stopped');
+            process.exit(0);
+        };
+        process.once('SIGINT', onStop);
+        process.once('SIGTERM', onStop);
+    }
+}
+
+module.exports = {
+    Supervisor,
+    isSupervisedWorker,
+    workerSlot,
+    resolveWorkerCount,
+    WORKER_ENV,
+    CONTROL_CHANNEL
+};
@@ -0,0 +1,275 @@
+/**
+ * TCP / Unix Socket Bus
+ * A tiny relay for cluster adapter messages between servers that don't
+ * share a cluster primary (separate hosts, containers or processes).
+ * Messages are newline-delimited JSON; the bus forwards every line it
+ * receives to every other connection.
+ *
+ * One node runs the bus (cluster.bus.serve) and joins it like any other
+ * node; the rest connect to cluster.bus.address and reconnect if it drops.
+ * Addresses are "host:port" or a Unix socket path.
+ *
+ * Every connection starts with a handshake: the bus sends
+ * { kind: 'challenge', nonce }, the node answers { kind: 'hello', node,
+ * signature } and the bus replies { kind: 'welcome' }. With
+ * cluster.bus.secret set, the signature is the HMAC of "<nonce>:<node>"
+ * under that secret, and nodes without it are dropped before anything they
+ * send is relayed. A bus bound to anything but loopback requires a secret.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const crypto = require('crypto');
+const { ClusterAdapter } = require('./adapter');
+const { sign, verifySignature } = require('../auth/hmac');
+const { logger } = require('../utils/logger');
+
+const MAX_LINE_BYTES = 16 * 1024 * 1024; // Longer lines mean a broken peer
+const RECONNECT_DELAY = 1000;
+const HANDSHAKE_TIMEOUT = 5000; // Connections that don't say hello by then are dropped
+
+// "host:port", ":port" or "port" -> { host, port }; anything else is a socket path
+function parseAddress(address) {
+    const match = /^(?:\[?([^\]]*?)\]?:)?(\d+)$/.exec(String(address));
+    if (match) {
+        return { host: match[1] || '127.0.0.1', port: Number(match[2]) };
+    }
+    return { path: address };
+}
+
+// True for addresses only this host can reach: Unix sockets and loopback
+function isLoopbackAddress(address) {
+    const { host, path } = parseAddress(address);
+    if (path) {
+        return true;
+    }
+    return host === 'localhost' || host === '::1' || /^(::ffff:)?127\./.test(host);
+}
+
+// The signature a node proves it holds the bus secret with
+function helloSignature(nonce, nodeId, secret) {
+    return sign(`${nonce}:${nodeId}`, secret);
+}
+
+// Call onMessage for each complete JSON line on a socket
+function readLines(socket, onMessage) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (line.length > 0) {
+                onMessage(line);
+            }
+        }
+        if (buffer.length > MAX_LINE_BYTES) {
+            logger.error('Cluster bus line too long, dropping connection', { maxBytes: MAX_LINE_BYTES });
+            socket.destroy();
+        }
+    });
+}
+
+/**
+ * The relay. Only connections that completed the handshake send or
+ * receive messages. Remembers which node each connection belongs to so it
+ * can announce the node's departure when the connection drops.
+ */
+class BusServer {
+    constructor({ secret = null } = {}) {
+        this.secret = secret;
+        this.connections = new Set(); // socket.nodeId is set once past the handshake
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    accept(socket) {
+        this.connections.add(socket);
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const handshakeTimer = setTimeout(() => socket.destroy(), HANDSHAKE_TIMEOUT);
+        readLines(socket, (line) => {
+            if (!socket.nodeId) {
+                clearTimeout(handshakeTimer);
+                this.greet(socket, nonce, line);
+                return;
+            }
+            this.relay(socket, line + '\n');
+        });
+        socket.on('error', () => {}); // 'close' follows
+        socket.on('close', () => {
+            clearTimeout(handshakeTimer);
+            this.connections.delete(socket);
+            if (socket.nodeId) {
+                this.relay(socket, JSON.stringify({ kind: 'leave', node: socket.nodeId }) + '\n');
+            }
+        });
+        socket.write(JSON.stringify({ kind: 'challenge', nonce }) + '\n');
+    }
+
+    // Admit a connection whose first line is a valid hello, drop it otherwise
+    greet(socket, nonce, line) {
+        let hello;
+        try {
+            hello = JSON.parse(line);
+        } catch (error) {
+            hello = null;
+        }
+        const valid = hello && hello.kind === 'hello' && typeof hello.node === 'string' && hello.node !== '' &&
+            (!this.secret || verifySignature(`${nonce}:${hello.node}`, hello.signature, this.secret));
+        if (!valid) {
+            logger.warn('Cluster bus rejected a connection that failed the handshake', {
+                remoteAddress: socket.remoteAddress
+            });
+            socket.destroy();
+            return;
+        }
+        socket.nodeId = hello.node;
+        socket.write(JSON.stringify({ kind: 'welcome' }) + '\n');
+    }
+
+    relay(from, data) {
+        this.connections.forEach((socket) => {
+            if (socket !== from && socket.nodeId && !socket.destroyed) {
+                socket.write(data);
+            }
+        });
+    }
+
+    listen(address) {
+        const target = parseAddress(address);
+        if (target.path && fs.existsSync(target.path)) {
+            // A stale socket file from a previous run blocks listen()
+            fs.unlinkSync(target.path);
+        }
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            const onListening = () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            };
+            if (target.path) {
+                this.server.listen(target.path, onListening);
+            } else {
+                this.server.listen(target.port, target.host, onListening);
+            }
+        });
+    }
+
+    close() {
+        this.connections.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+class TcpBusAdapter extends ClusterAdapter {
+    constructor({ bus = {}, ...options } = {}) {
+        super(options);
+        this.address = bus.address;
+        this.serve = Boolean(bus.serve);
+        this.secret = bus.secret || null;
+        this.busServer = null;
+        this.socket = null;
+        this.stopping = false;
+        this.reconnectTimer = null;
+    }
+
+    async connect() {
+        this.stopping = false;
+        if (this.serve) {
+            if (!this.secret && !isLoopbackAddress(this.address)) {
+                throw new Error(`Cluster bus at ${this.address} is reachable from other hosts; set cluster.bus.secret`);
+            }
+            this.busServer = new BusServer({ secret: this.secret });
+            await this.busServer.listen(this.address);
+            logger.info('Cluster bus listening', { address: this.address });
+        }
+        await this.open();
+    }
+
+    // Connect to the bus and complete the handshake; later drops are
+    // retried in the background
+    open() {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(parseAddress(this.address));
+            let connected = false; // Past the handshake
+
+            readLines(socket, (line) => {
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (error) {
+                    logger.error('Malformed cluster bus message', { error: error.message });
+                    return;
+                }
+                if (connected) {
+                    this.receive(message);
+                } else if (message.kind === 'challenge') {
+                    const signature = this.secret ? helloSignature(message.nonce, this.nodeId, this.secret) : null;
+                    socket.write(JSON.stringify({ kind: 'hello', node: this.nodeId, signature }) + '\n');
+                } else if (message.kind === 'welcome') {
+                    connected = true;
+                    this.socket = socket;
+                    this.sendState(); // Introduce ourselves (again, after a reconnect)
+                    resolve();
+                }
+            });
+            socket.on('error', (error) => {
+                if (!connected) {
+                    reject(new Error(`Cannot connect to cluster bus at ${this.address}: ${error.message}`));
+                }
+            });
+            socket.on('close', () => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                if (!connected) {
+                    // No-op if 'error' already rejected
+                    reject(new Error(`Cluster bus at ${this.address} refused this node (is cluster.bus.secret the same on every node?)`));
+                }
+                if (connected && !this.stopping) {
+                    logger.warn('Lost cluster bus, reconnecting', { address: this.address });
+                    this.scheduleReconnect();
+                }
+            });
+        });
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.open().catch((error) => {
+                logger.warn('Cluster bus reconnect failed', { address: this.address, error: error.message });
+                this.scheduleReconnect();
+            });
+        }, RECONNECT_DELAY);
+    }
+
+    async disconnect() {
+        this.stopping = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            await new Promise(resolve => socket.end(resolve));
+        }
+        if (this.busServer) {
+            await this.busServer.close();
+            this.busServer = null;
+        }
+    }
+
+    // Messages while disconnected are dropped; state is resent on reconnect
+    send(message) {
+        if (this.socket && !this.socket.destroyed) {
+            this.socket.write(JSON.stringify(message) + '\n');
+        }
+    }
+}
+
+module.exports = {
+    TcpBusAdapter,
+    BusServer,
+    parseAddress,
+    isLoopbackAddress
+};
@@ -0,0 +1,358 @@
+/**
+ * Configuration Loader
+ * Resolves server settings from, in increasing priority:
+ *   1. built-in defaults
+ *   2. a config file (CONFIG_FILE, options.configFile, or
+ *      webserver.config.js / webserver.config.json in the working directory)
+ *   3. environment variables
+ *   4. options passed to the WebServer constructor
+ * and validates the result against configSchema, failing fast on errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { configSchema } = require('../validation/schemas');
+
+const DEFAULT_CONFIG_FILES = ['webserver.config.js', 'webserver.config.json'];
+const SECRET_KEY_PATTERN = /secret|password|token|apikey|api_key|privatekey|credential/i;
+
+const defaults = {
+    env: process.env.NODE_ENV || 'production', // Only 'development' exposes error details
+    port: 3000,
+    host: null,
+    configFile: null,
+    // Read client IPs (rate limits, per-IP connection caps, access log) from
+    // X-Forwarded-For: false, true (first entry) or the number of proxies in front
+    trustProxy: false,
+    handleSignals: false, // Drain on SIGINT/SIGTERM and exit; the CLI entry point turns this on
+    shutdown: {
+        timeout: 10000,       // Longest drain before remaining connections are force-closed
+        reconnectDelay: 1000  // Reconnect hint sent to WebSocket clients when draining
+    },
+    body: {
+        limit: '1mb'
+    },
+    cors: {
+        origin: '*',
+        credentials: false,
+        exposedHeaders: [],
+        routes: {}
+    },
+    websocket: {
+        maxConnections: 1000,      // Maximum WebSocket connections
+        maxConnectionsPerIp: 50,   // Concurrent connections from one address
+        heartbeatInterval: 30000,  // 30 seconds
+        pingTimeout: 10000,        // 10 seconds timeout for pong
+        allowedPaths: ['/', '/websocket-demo', '/whiteboard', '/ws'],
+        maxChatLength: 500,
+        maxRoomsPerClient: 10,     // Rooms (and subscription channels) per client
+        maxMembersPerRoom: 100,
+        metricsInterval: 2000,     // Broadcast metrics every 2 seconds
+        backpressure: {
+            highWatermark: 1024 * 1024,     // Queue sends once 1MB is buffered for a client
+            lowWatermark: 256 * 1024,       // Resume sending below 256KB
+            maxQueueBytes: 4 * 1024 * 1024, // Close the client (1008) past 4MB queued
+            droppableTopics: ['metrics']    // Dropped rather than queued for slow clients
+        }
+    },
+    uploads: {
+        dir: path.join(__dirname, '..', '..', 'uploads'),
+        maxFileSize: 10 * 1024 * 1024, // 10MB
+        allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain'],
+        allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.pdf', '.txt']
+    },
+    chatHistory: {
+        store: 'memory',        // 'memory', 'file' (append-only JSONL) or a store object (see src/stores/messageStore.js)
+        file: path.join(__dirname, '..', '..', 'data', 'chat.jsonl'),
+        capacity: 500,          // Messages kept in memory per conversation (global chat and each room)
+        replay: 20,             // Messages replayed when a client subscribes to chat or joins a room
+        maxLimit: 200,          // Largest page a history request may ask for
+        maxConversations: 1000, // Conversations kept; the room least recently written to is forgotten past this
+        compactAfter: 1000      // Appends before the file store is rewritten with only the kept messages
+    },
+    whiteboard: {
+        store: 'memory',            // 'memory' or 'file' (JSONL log of finished strokes)
+        file: path.join(__dirname, '..', '..', 'data', 'boards.jsonl'),
+        maxPointsPerBoard: 50000,   // Oldest strokes are dropped past this
+        maxPointsPerStroke: 5000,   // Longer strokes stop being recorded
+        maxBoards: 1000,            // Room boards kept; the least recently drawn on is forgotten past this
+        compactAfter: 1000          // Log entries before the file is rewritten as a snapshot
+    },
+    logging: {
+        level: 'info',          // 'debug', 'info', 'warn', 'error' or 'silent'
+        format: 'auto',         // 'json', 'pretty' or 'auto' (pretty in development, JSON otherwise)
+        accessLog: true         // One entry per HTTP request once the response is done
+    },
+    metrics: {
+        enabled: true,          // Serve the Prometheus endpoint
+        path: '/metrics',
+        eventLoopResolution: 20 // ms between event-loop delay samples
+    },
+    // Share broadcasts, room membership and counts with other server processes
+    cluster: {
+        adapter: 'none',          // 'none', 'ipc' (cluster workers), 'tcp' (socket bus) or an adapter object
+        nodeId: null,             // Defaults to <hostname>:<pid>
+        heartbeatInterval: 2000,  // State is resent this often; silent nodes drop out after three intervals
+        workers: 0,               // Worker processes sharing the port: a number or 'auto' (one per CPU core); 0 runs in-process
+        restartDelay: 1000,       // First restart delay for a crashed worker, doubling per crash in a row
+        maxRestartDelay: 30000,
+        bus: {
+            address: '127.0.0.1:7070', // "host:port" or a Unix socket path
+            serve: false,              // Run the bus in this process (exactly one node should)
+            secret: null               // Shared by every node; required to serve the bus on a non-loopback address
+        }
+    },
+    // Token buckets: capacity is the burst size, refillPerSecond the sustained rate
+    rateLimit: {
+        enabled: true,
+        http: {
+            default: { capacity: 120, refillPerSecond: 20 },
+            // "/path/prefix" or "METHOD /path/prefix"; the longest prefix wins
+            routes: {
+                'POST /upload': { capacity: 10, refillPerSecond: 0.2 }
+            }
+        },
+        websocket: {
+            // Per message type, for each user (or each client when anonymous)
+            messages: {
+                default: { capacity: 20, refillPerSecond: 5 },
+                chat: { capacity: 10, refillPerSecond: 1 },
+                draw: { capacity: 300, refillPerSecond: 120 }
+            },
+            perIp: { capacity: 600, refillPerSecond: 200 }, // All messages from one address
+            maxViolations: 20,      // Refused messages within violationWindow before a 1008 close
+            violationWindow: 10000
+        }
+    },
+    auth: {
+        required: false, // Reject anonymous API calls, uploads and WebSocket upgrades
+        jwt: {
+            secret: null,     // Enables HS256 bearer tokens
+            issuer: null,
+            audience: null,
+            clockTolerance: 30 // Seconds of leeway for exp/nbf
+        },
+        apiKeysFile: null,     // JSON file of API keys (see src/auth/apiKeys.js)
+        // Role -> permissions (see src/auth/policy.js). "anonymous" applies to
+        // unauthenticated callers, "user" to every authenticated one.
+        roles: {
+            anonymous: [
+                'subscribe:chat', 'subscribe:draw', 'subscribe:notification', 'subscribe:metrics',
+                'publish:chat', 'publish:draw', 'whiteboard:clear', 'room:*', 'upload', 'stats:read'
+            ],
+            user: ['subscribe:*', 'publish:*', 'whiteboard:clear', 'room:*', 'upload', 'stats:read'],
+            admin: ['*']
+        },
+        session: {
+            secret: null,      // Enables signed session cookies
+            cookieName: 'session',
+            maxAge: 24 * 60 * 60 * 1000,
+            secure: false
+        }
+    },
+    admin: {
+        enabled: null, // Serve /api/admin/*; null turns it on only when a token is set
+        token: null    // When set, admin endpoints require "Authorization: Bearer <token>"
+    }
+};
+
+// Environment variable -> config path (values are converted by Joi)
+const envMap = {
+    NODE_ENV: 'env',
+    PORT: 'port',
+    HOST: 'host',
+    BODY_LIMIT: 'body.limit',
+    SHUTDOWN_TIMEOUT: 'shutdown.timeout',
+    CORS_ORIGIN: 'cors.origin',
+    CORS_CREDENTIALS: 'cors.credentials',
+    WS_MAX_CONNECTIONS: 'websocket.maxConnections',
+    WS_MAX_CONNECTIONS_PER_IP: 'websocket.maxConnectionsPerIp',
+    RATE_LIMIT_ENABLED: 'rateLimit.enabled',
+    TRUST_PROXY: 'trustProxy',
+    WS_HEARTBEAT_INTERVAL: 'websocket.heartbeatInterval',
+    WS_PING_TIMEOUT: 'websocket.pingTimeout',
+    CHAT_MAX_LENGTH: 'websocket.maxChatLength',
+    WS_MAX_ROOMS_PER_CLIENT: 'websocket.maxRoomsPerClient',
+    WS_MAX_MEMBERS_PER_ROOM: 'websocket.maxMembersPerRoom',
+    UPLOAD_DIR: 'uploads.dir',
+    CHAT_HISTORY_STORE: 'chatHistory.store',
+    CHAT_HISTORY_FILE: 'chatHistory.file',
+    WHITEBOARD_STORE: 'whiteboard.store',
+    WHITEBOARD_FILE: 'whiteboard.file',
+    WHITEBOARD_MAX_POINTS: 'whiteboard.maxPointsPerBoard',
+    LOG_LEVEL: 'logging.level',
+    LOG_FORMAT: 'logging.format',
+    ACCESS_LOG: 'logging.accessLog',
+    METRICS_ENABLED: 'metrics.enabled',
+    METRICS_PATH: 'metrics.path',
+    CLUSTER_WORKERS: 'cluster.workers',
+    CLUSTER_ADAPTER: 'cluster.adapter',
+    CLUSTER_NODE_ID: 'cluster.nodeId',
+    CLUSTER_BUS_ADDRESS: 'cluster.bus.address',
+    CLUSTER_BUS_SERVE: 'cluster.bus.serve',
+    CLUSTER_BUS_SECRET: 'cluster.bus.secret',
+    UPLOAD_MAX_FILE_SIZE: 'uploads.maxFileSize',
+    ADMIN_ENABLED: 'admin.enabled',
+    ADMIN_TOKEN: 'admin.token',
+    AUTH_REQUIRED: 'auth.required',
+    JWT_SECRET: 'auth.jwt.secret',
+    JWT_ISSUER: 'auth.jwt.issuer',
+    JWT_AUDIENCE: 'auth.jwt.audience',
+    API_KEYS_FILE: 'auth.apiKeysFile',
+    SESSION_SECRET: 'auth.session.secret'
+};
+
+// Env values that are lists
+const listEnvKeys = ['CORS_ORIGIN'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Merge plain objects recursively; arrays, RegExps and functions are replaced
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value === undefined) {
+            continue;
+        }
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+            ? deepMerge(result[key], value)
+            : value;
+    }
+    return result;
+}
+
+function setPath(obj, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let current = obj;
+    keys.slice(0, -1).forEach(key => {
+        current[key] = current[key] || {};
+        current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+}
+
+// Build a partial config from environment variables
+function fromEnv(env) {
+    const config = {};
+    for (const [name, configPath] of Object.entries(envMap)) {
+        const value = env[name];
+        if (value === undefined || value === '') {
+            continue;
+        }
+        if (listEnvKeys.includes(name) && value !== '*') {
+            setPath(config, configPath, value.split(',').map(item => item.trim()).filter(Boolean));
+        } else {
+            setPath(config, configPath, value);
+        }
+    }
+    return config;
+}
+
+// Find the config file to load, if any
+function resolveConfigFile(options, env, cwd) {
+    const explicit = options.configFile || env.CONFIG_FILE;
+    if (explicit) {
+        const filePath = path.resolve(cwd, explicit);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        return filePath;
+    }
+
+    for (const name of DEFAULT_CONFIG_FILES) {
+        const filePath = path.join(cwd, name);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+// Load a .json or .js config file
+function fromFile(filePath) {
+    try {
+        if (path.extname(filePath) === '.json') {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+        const loaded = require(filePath);
+        return typeof loaded === 'function' ? loaded() : loaded;
+    } catch (error) {
+        throw new Error(`Failed to load config file ${filePath}: ${error.message}`);
+    }
+}
+
+// cluster: true -> one worker per CPU core
+function expandShorthands(source) {
+    if (source.cluster === true) {
+        return { ...source, cluster: { workers: 'auto' } };
+    }
+    return source;
+}
+
+/**
+ * Resolve and validate the server configuration
+ */
+function loadConfig(options = {}, { env = process.env, cwd = process.cwd() } = {}) {
+    const configFile = resolveConfigFile(options, env, cwd);
+    const fileConfig = configFile ? fromFile(configFile) : {};
+
+    let merged = deepMerge(defaults, expandShorthands(fileConfig));
+    merged = deepMerge(merged, fromEnv(env));
+    merged = deepMerge(merged, expandShorthands(options));
+    merged.configFile = configFile;
+
+    const { error, value } = configSchema.validate(merged, {
+        abortEarly: false,
+        convert: true
+    });
+
+    if (error) {
+        const problems = error.details.map(detail => `  - ${detail.path.join('.')}: ${detail.message}`);
+        throw new Error(`Invalid server configuration${configFile ? ` (file: ${configFile})` : ''}:\n${problems.join('\n')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Copy of the config that is safe to show: secrets masked, RegExps and
+ * functions turned into readable strings
+ */
+function redactConfig(config) {
+    if (Array.isArray(config)) {
+        return config.map(item => redactConfig(item));
+    }
+    if (config instanceof RegExp) {
+        return config.toString();
+    }
+    if (typeof config === 'function') {
+        return '[Function]';
+    }
+    if (config !== null && typeof config === 'object' && !isPlainObject(config)) {
+        // Instances such as a custom chat history store
+        return `[${config.constructor ? config.constructor.name : 'Object'}]`;
+    }
+    if (!isPlainObject(config)) {
+        return config;
+    }
+
+    const redacted = {};
+    for (const [key, value] of Object.entries(config)) {
+        // Flags like cors.credentials aren't secrets, their values are safe to show
+        const isFlag = typeof value === 'boolean' || typeof value === 'number';
+        if (SECRET_KEY_PATTERN.test(key) && value !== null && value !== undefined && !isFlag) {
+            redacted[key] = '[REDACTED]';
+        } else {
+            redacted[key] = redactConfig(value);
+        }
+    }
+    return redacted;
+}
+
+module.exports = {
+    loadConfig,
+    redactConfig,
+    defaults
+};
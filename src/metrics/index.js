@@ -0,0 +1,220 @@
+/**
+ * Server Metrics
+ * The instruments every part of the server records into, kept in one
+ * Registry that backs both GET /metrics (Prometheus) and the JSON numbers
+ * in /api/stats and the 'metrics' WebSocket channel.
+ *
+ * Values that belong to other modules (open connections, in-flight
+ * requests) are read through the sources passed to the constructor.
+ *
+ * requestRates keeps 1s/1m/5m/15m request rates, overall and by route and
+ * status, for /api/stats (Prometheus derives rates from the counters).
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { Registry, CONTENT_TYPE } = require('./registry');
+const { RateCounter } = require('./rateCounter');
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const FANOUT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+const UPLOAD_SIZE_BUCKETS = [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024, 50 * 1024 * 1024];
+const LAG_WINDOW = 10000; // ms of event-loop delay behind each lag reading
+
+// Type of an outgoing WebSocket message; serialized messages start with {"type":"..."}
+function messageType(payload, message) {
+    if (payload && typeof payload === 'object' && typeof payload.type === 'string') {
+        return payload.type;
+    }
+    const match = /^\{"type":"([\w:-]{1,32})"/.exec(message);
+    return match ? match[1] : 'unknown';
+}
+
+// Broadcast topic label: room topics are grouped so room names don't become labels
+function topicLabel(topic) {
+    if (topic === '*') {
+        return 'all';
+    }
+    return topic.startsWith('room/') ? 'room' : topic;
+}
+
+class ServerMetrics {
+    // sources: { httpConnections, inFlight, websocketConnections } -> number
+    constructor(sources = {}, { eventLoopResolution = 20 } = {}) {
+        const read = name => () => (sources[name] ? sources[name]() : 0);
+        this.registry = new Registry();
+        this.eventLoopResolution = eventLoopResolution;
+        this.eventLoop = null;
+        this.lagTimer = null;
+        this.lag = { mean: 0, p50: 0, p99: 0, max: 0 }; // Seconds, over the last LAG_WINDOW
+        this.requestRates = new RateCounter({ breakdowns: ['route', 'status'] });
+
+        const registry = this.registry;
+
+        this.httpRequests = registry.counter({
+            name: 'http_requests_total',
+            help: 'HTTP requests by method, route and status ("aborted" when the client went away first)',
+            labelNames: ['method', 'route', 'status']
+        });
+        this.httpDuration = registry.histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency by method, route and status',
+            labelNames: ['method', 'route', 'status'],
+            buckets: DURATION_BUCKETS
+        });
+        this.httpInFlight = registry.gauge({
+            name: 'http_requests_in_flight',
+            help: 'HTTP requests being handled',
+            collect: read('inFlight')
+        });
+        this.httpConnections = registry.gauge({
+            name: 'http_open_connections',
+            help: 'Open HTTP sockets, including idle keep-alive ones',
+            collect: read('httpConnections')
+        });
+        this.requestsPerSecond = registry.gauge({
+            name: 'http_requests_per_second',
+            help: 'HTTP requests finished in the last full second',
+            collect: () => this.requestRates.rates()['1s']
+        });
+
+        this.websocketConnections = registry.gauge({
+            name: 'websocket_connections',
+            help: 'Open WebSocket connections on this process',
+            collect: read('websocketConnections')
+        });
+        this.websocketOpened = registry.counter({
+            name: 'websocket_connections_opened_total',
+            help: 'WebSocket connections accepted'
+        });
+        this.messagesReceived = registry.counter({
+            name: 'websocket_messages_received_total',
+            help: 'WebSocket messages received by type ("invalid" for unknown types and unparseable frames)',
+            labelNames: ['type']
+        });
+        this.messagesSent = registry.counter({
+            name: 'websocket_messages_sent_total',
+            help: 'WebSocket messages sent or queued by type',
+            labelNames: ['type']
+        });
+        this.broadcastFanout = registry.histogram({
+            name: 'websocket_broadcast_fanout',
+            help: 'Clients each published message was delivered to, by topic (room topics as "room")',
+            labelNames: ['topic'],
+            buckets: FANOUT_BUCKETS
+        });
+        this.heartbeatTerminations = registry.counter({
+            name: 'websocket_heartbeat_terminations_total',
+            help: 'WebSocket connections terminated by the heartbeat, by reason',
+            labelNames: ['reason']
+        });
+
+        this.uploads = registry.counter({
+            name: 'uploads_total',
+            help: 'Upload requests by result',
+            labelNames: ['result']
+        });
+        this.uploadBytes = registry.counter({
+            name: 'upload_bytes_total',
+            help: 'Bytes of successfully stored uploads'
+        });
+        this.uploadSize = registry.histogram({
+            name: 'upload_size_bytes',
+            help: 'Size of successfully stored uploads',
+            buckets: UPLOAD_SIZE_BUCKETS
+        });
+
+        this.eventLoopLag = registry.gauge({
+            name: 'nodejs_eventloop_lag_seconds',
+            help: `Event-loop delay over the last ${LAG_WINDOW / 1000}s, by statistic`,
+            labelNames: ['stat'],
+            collect: () => Object.entries(this.lag).map(([stat, value]) => ({ labels: { stat }, value }))
+        });
+        this.heapUsed = registry.gauge({
+            name: 'nodejs_heap_used_bytes',
+            help: 'V8 heap in use',
+            collect: () => process.memoryUsage().heapUsed
+        });
+        this.residentMemory = registry.gauge({
+            name: 'process_resident_memory_bytes',
+            help: 'Resident set size',
+            collect: () => process.memoryUsage().rss
+        });
+        this.startTime = registry.gauge({
+            name: 'process_start_time_seconds',
+            help: 'Process start time since the Unix epoch',
+            collect: () => Math.floor(Date.now() / 1000 - process.uptime())
+        });
+    }
+
+    // Begin sampling event-loop delay (stopped by stop())
+    start() {
+        if (this.eventLoop) {
+            return;
+        }
+        this.eventLoop = monitorEventLoopDelay({ resolution: this.eventLoopResolution });
+        this.eventLoop.enable();
+        this.lagTimer = setInterval(() => {
+            const histogram = this.eventLoop;
+            // Nanoseconds; the sampling resolution itself isn't lag
+            const seconds = value => Math.max(0, (value || 0) - this.eventLoopResolution * 1e6) / 1e9;
+            this.lag = {
+                mean: seconds(histogram.mean),
+                p50: seconds(histogram.percentile(50)),
+                p99: seconds(histogram.percentile(99)),
+                max: seconds(histogram.max)
+            };
+            histogram.reset();
+        }, LAG_WINDOW);
+        this.lagTimer.unref();
+    }
+
+    stop() {
+        if (!this.eventLoop) {
+            return;
+        }
+        clearInterval(this.lagTimer);
+        this.eventLoop.disable();
+        this.eventLoop = null;
+        this.lagTimer = null;
+    }
+
+    // Record a finished (or abandoned) HTTP request; startedAt is process.hrtime.bigint()
+    observeRequest(req, res, startedAt) {
+        const labels = {
+            method: HTTP_METHODS.includes(req.method) ? req.method : 'OTHER',
+            // Matched route pattern; static files, 404s and refused requests share one label
+            route: req.routePath || '(unmatched)',
+            status: res.writableFinished ? res.statusCode : 'aborted'
+        };
+        this.httpRequests.inc(labels);
+        this.requestRates.record(labels);
+        this.httpDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+
+    messageSent(payload, message) {
+        this.messagesSent.inc({ type: messageType(payload, message) });
+    }
+
+    broadcast(topic, delivered) {
+        this.broadcastFanout.observe({ topic: topicLabel(topic) }, delivered);
+    }
+
+    upload(result, size = 0) {
+        this.uploads.inc({ result });
+        if (result === 'success') {
+            this.uploadBytes.inc({}, size);
+            this.uploadSize.observe({}, size);
+        }
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = {
+    ServerMetrics,
+    messageType,
+    CONTENT_TYPE
+};
@@ -0,0 +1,148 @@
+/**
+ * Rate Counter
+ * Sliding-window event rates from a ring of one-second buckets: memory is
+ * fixed by the longest window, and recording is O(1) however many events
+ * arrive. Rates are events per second over the last complete seconds of
+ * each window (the current, partial second isn't counted).
+ *
+ *   const rates = new RateCounter({ breakdowns: ['route', 'status'] });
+ *   rates.record({ route: '/api/stats', status: 200 });
+ *   rates.rates();      // { '1s': 12, '1m': 10.5, '5m': 9.82, '15m': 7.31 }
+ *   rates.snapshot();   // rates plus { byRoute: { ... }, byStatus: { ... } }
+ *
+ * Breakdowns keep one ring per label value, up to maxKeys values each;
+ * further values are counted under OTHER_KEY. A value with no events left
+ * in the longest window is forgotten.
+ */
+
+const DEFAULT_WINDOWS = { '1s': 1, '1m': 60, '5m': 300, '15m': 900 }; // label -> seconds
+const OTHER_KEY = '(other)';
+
+// Counts for one series; bucket i holds the second whose number % size is i
+class Ring {
+    constructor(size) {
+        this.counts = new Uint32Array(size);
+        this.total = 0; // Events still inside the ring
+    }
+
+    clear(index) {
+        this.total -= this.counts[index];
+        this.counts[index] = 0;
+    }
+
+    // Events in the `length` seconds before `second`
+    sum(second, length) {
+        let sum = 0;
+        for (let offset = 1; offset <= length; offset++) {
+            sum += this.counts[(second - offset) % this.counts.length];
+        }
+        return sum;
+    }
+}
+
+class RateCounter {
+    constructor({ windows = DEFAULT_WINDOWS, breakdowns = [], maxKeys = 100, now = Date.now() } = {}) {
+        this.windows = windows;
+        this.size = Math.max(...Object.values(windows)) + 1; // The longest window plus the current second
+        this.maxKeys = maxKeys;
+        this.startSecond = Math.floor(now / 1000);
+        this.second = this.startSecond; // Second of the newest bucket
+        this.all = new Ring(this.size);
+        this.breakdowns = new Map(breakdowns.map(name => [name, new Map()])); // name -> value -> Ring
+    }
+
+    // Zero the buckets of the seconds between the newest bucket and `second`
+    advance(second) {
+        if (second <= this.second) {
+            return;
+        }
+        const steps = Math.min(second - this.second, this.size);
+        const rings = [this.all];
+        this.breakdowns.forEach(series => series.forEach(ring => rings.push(ring)));
+        for (let step = 1; step <= steps; step++) {
+            const index = (this.second + step) % this.size;
+            rings.forEach(ring => ring.clear(index));
+        }
+        this.second = second;
+
+        this.breakdowns.forEach((series) => {
+            series.forEach((ring, key) => {
+                if (ring.total === 0) {
+                    series.delete(key);
+                }
+            });
+        });
+    }
+
+    // Count one event; labels pick the breakdown series it also counts toward
+    record(labels = {}, now = Date.now()) {
+        const second = Math.floor(now / 1000);
+        this.advance(second);
+        // Late events (clock stepped back) land in the newest bucket
+        const index = this.second % this.size;
+        this.all.counts[index]++;
+        this.all.total++;
+        this.breakdowns.forEach((series, name) => {
+            if (labels[name] === undefined) {
+                return;
+            }
+            let key = String(labels[name]);
+            if (!series.has(key) && series.size >= this.maxKeys) {
+                key = OTHER_KEY;
+            }
+            let ring = series.get(key);
+            if (!ring) {
+                ring = new Ring(this.size);
+                series.set(key, ring);
+            }
+            ring.counts[index]++;
+            ring.total++;
+        });
+    }
+
+    // { window: events per second } for one ring; early on, windows cover only the seconds since start
+    ringRates(ring) {
+        const elapsed = this.second - this.startSecond;
+        const rates = {};
+        Object.entries(this.windows).forEach(([label, length]) => {
+            const covered = Math.min(length, elapsed);
+            rates[label] = covered > 0 ? Math.round(ring.sum(this.second, covered) / covered * 100) / 100 : 0;
+        });
+        return rates;
+    }
+
+    // Overall rates
+    rates(now = Date.now()) {
+        this.advance(Math.floor(now / 1000));
+        return this.ringRates(this.all);
+    }
+
+    // { value: rates } for one breakdown, e.g. breakdown('status')['404']
+    breakdown(name, now = Date.now()) {
+        const series = this.breakdowns.get(name);
+        if (!series) {
+            throw new Error(`Unknown breakdown "${name}"`);
+        }
+        this.advance(Math.floor(now / 1000));
+        const result = {};
+        Array.from(series.keys()).sort().forEach((key) => {
+            result[key] = this.ringRates(series.get(key));
+        });
+        return result;
+    }
+
+    // Overall rates plus every breakdown as by<Name>
+    snapshot(now = Date.now()) {
+        const snapshot = this.rates(now);
+        this.breakdowns.forEach((series, name) => {
+            snapshot[`by${name.charAt(0).toUpperCase()}${name.slice(1)}`] = this.breakdown(name, now);
+        });
+        return snapshot;
+    }
+}
+
+module.exports = {
+    RateCounter,
+    DEFAULT_WINDOWS,
+    OTHER_KEY
+};
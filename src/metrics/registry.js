@@ -0,0 +1,258 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4).
+ *
+ *   const registry = new Registry();
+ *   const requests = registry.counter({ name: 'requests_total', help: '...', labelNames: ['status'] });
+ *   requests.inc({ status: 200 });
+ *   registry.render();
+ *
+ * Gauges can take a collect() function that returns the current value (or
+ * [{ labels, value }]) at read time, for values owned by other modules.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+// {a="1",b="2"}, or '' without labels
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid metric name "${name}"`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // label key -> { labels, value }
+    }
+
+    // Stable key for a label set; unknown label names are an error
+    key(labels) {
+        Object.keys(labels).forEach((name) => {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+            }
+        });
+        return this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))).join('\u0000');
+    }
+
+    // Value entry for a label set, created at zero on first use
+    entry(labels, create) {
+        const key = this.key(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            const normalized = {};
+            this.labelNames.forEach((name) => {
+                normalized[name] = labels[name] === undefined ? '' : String(labels[name]);
+            });
+            entry = create(normalized);
+            this.values.set(key, entry);
+        }
+        return entry;
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(this.key(labels));
+        return entry ? entry.value : 0;
+    }
+
+    // Sum over every label set
+    total() {
+        let sum = 0;
+        this.values.forEach((entry) => {
+            sum += entry.value;
+        });
+        return sum;
+    }
+
+    // [{ labels, value }] for reading values back (e.g. /api/stats)
+    samples() {
+        return Array.from(this.values.values(), ({ labels, value }) => ({ labels, value }));
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    // Exposition lines after HELP/TYPE
+    lines() {
+        const samples = this.samples();
+        if (samples.length === 0 && this.labelNames.length === 0) {
+            return [`${this.name} 0`];
+        }
+        return samples.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter ${this.name} cannot be decreased`);
+        }
+        this.entry(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    // collect: () => number | [{ labels, value }], read whenever the gauge is
+    constructor({ collect = null, ...options }) {
+        super('gauge', options);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.entry(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    samples() {
+        if (!this.collect) {
+            return super.samples();
+        }
+        const collected = this.collect();
+        return Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    }
+
+    get(labels = {}) {
+        if (!this.collect) {
+            return super.get(labels);
+        }
+        const key = this.key(labels);
+        const sample = this.samples().find(({ labels: sampleLabels }) => this.key(sampleLabels) === key);
+        return sample ? sample.value : 0;
+    }
+
+    total() {
+        return this.samples().reduce((sum, { value }) => sum + value, 0);
+    }
+}
+
+class Histogram extends Metric {
+    // buckets: upper bounds, ascending; +Inf is added automatically
+    constructor({ buckets, ...options }) {
+        super('histogram', options);
+        if (options.labelNames && options.labelNames.includes('le')) {
+            throw new Error(`Histogram ${this.name} cannot use the label "le"`);
+        }
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, normalized => ({
+            labels: normalized,
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0,
+            value: 0 // Observation count, so get()/total() read like a counter
+        }));
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            entry.counts[index]++;
+        }
+        entry.sum += value;
+        entry.count++;
+        entry.value = entry.count;
+    }
+
+    // { sum, count } for a label set
+    summary(labels = {}) {
+        const entry = this.values.get(this.key(labels));
+        return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+    }
+
+    lines() {
+        const lines = [];
+        this.values.forEach(({ labels, counts, sum, count }) => {
+            let cumulative = 0;
+            this.buckets.forEach((bound, index) => {
+                cumulative += counts[index];
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map(); // name -> metric
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    // Every metric in the Prometheus text format
+    render() {
+        const lines = [];
+        this.metrics.forEach((metric) => {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.lines());
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    CONTENT_TYPE
+};
@@ -0,0 +1,183 @@
+const querystring = require('querystring');
+const { httpError } = require('../utils/httpError');
+
+const DEFAULT_LIMIT = 1024 * 1024; // 1MB
+
+// Charsets we can decode, mapped to Node's Buffer encoding names
+const CHARSET_ENCODINGS = {
+    'utf-8': 'utf8',
+    'utf8': 'utf8',
+    'iso-8859-1': 'latin1',
+    'latin1': 'latin1',
+    'us-ascii': 'ascii',
+    'ascii': 'ascii'
+};
+
+// Parse sizes like 1024, '100kb' or '2mb' into bytes
+function parseLimit(limit) {
+    if (typeof limit === 'number') {
+        return limit;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(limit).trim());
+    if (!match) {
+        throw new Error(`Invalid body size limit: ${limit}`);
+    }
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+// Whether the request carries a body at all
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined ||
+        (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+}
+
+// Split "application/json; charset=utf-8" into type and charset
+function parseContentType(header = '') {
+    const [type, ...params] = header.split(';');
+    let charset = 'utf-8';
+    params.forEach(param => {
+        const [key, value] = param.split('=').map(part => part && part.trim());
+        if (key && key.toLowerCase() === 'charset' && value) {
+            charset = value.replace(/^"|"$/g, '').toLowerCase();
+        }
+    });
+    return { type: type.trim().toLowerCase(), charset };
+}
+
+// Pick a parser based on the media type
+function getBodyKind(type) {
+    if (type === 'application/json' || type.endsWith('+json')) {
+        return 'json';
+    }
+    if (type === 'application/x-www-form-urlencoded') {
+        return 'urlencoded';
+    }
+    if (type.startsWith('text/')) {
+        return 'text';
+    }
+    return 'raw';
+}
+
+// Read the request stream into a Buffer, failing with 413 past the limit
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = parseInt(req.headers['content-length'], 10);
+        if (!isNaN(declaredLength) && declaredLength > limit) {
+            req.resume(); // Discard the body so the socket can finish
+            reject(httpError(413, `Request body exceeds limit of ${limit} bytes`));
+            return;
+        }
+
+        const chunks = [];
+        let received = 0;
+
+        const cleanup = () => {
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.removeListener('error', onError);
+            req.removeListener('aborted', onAborted);
+        };
+        const onData = (chunk) => {
+            received += chunk.length;
+            if (received > limit) {
+                cleanup();
+                req.pause();
+                reject(httpError(413, `Request body exceeds limit of ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => {
+            cleanup();
+            resolve(Buffer.concat(chunks, received));
+        };
+        const onError = (error) => {
+            cleanup();
+            reject(httpError(400, `Error reading request body: ${error.message}`));
+        };
+        const onAborted = () => {
+            cleanup();
+            reject(httpError(400, 'Request aborted'));
+        };
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+        req.on('aborted', onAborted);
+    });
+}
+
+/**
+ * Body parser middleware factory
+ * Sets req.body from JSON, urlencoded, text (string) or other (Buffer) bodies.
+ * Multipart requests are left unread for the upload handler.
+ */
+function createBodyParser(options = {}) {
+    const limit = parseLimit(options.limit === undefined ? DEFAULT_LIMIT : options.limit);
+
+    return async function bodyParser(req, res, next) {
+        req.body = {};
+
+        if (!hasBody(req)) {
+            return next();
+        }
+
+        const { type, charset } = parseContentType(req.headers['content-type']);
+
+        // formidable consumes the stream itself
+        if (type === 'multipart/form-data') {
+            return next();
+        }
+
+        const encoding = CHARSET_ENCODINGS[charset];
+        if (!encoding) {
+            return next(httpError(415, `Unsupported charset "${charset}"`));
+        }
+
+        let buffer;
+        try {
+            buffer = await readBody(req, limit);
+        } catch (error) {
+            if (error.status === 413) {
+                // The rest of the body is never read, so don't reuse the socket
+                res.setHeader('Connection', 'close');
+            }
+            return next(error);
+        }
+
+        const kind = getBodyKind(type);
+        const text = kind === 'raw' ? null : buffer.toString(encoding);
+
+        switch (kind) {
+            case 'json':
+                if (text.trim() === '') {
+                    break;
+                }
+                try {
+                    req.body = JSON.parse(text);
+                } catch (error) {
+                    return next(httpError(400, `Malformed JSON body: ${error.message}`));
+                }
+                break;
+
+            case 'urlencoded':
+                req.body = querystring.parse(text);
+                break;
+
+            case 'text':
+                req.body = text;
+                break;
+
+            default:
+                req.body = buffer;
+        }
+
+        return next();
+    };
+}
+
+module.exports = {
+    createBodyParser,
+    parseLimit
+};
@@ -0,0 +1,190 @@
+/**
+ * CORS Middleware
+ * Applies one configurable cross-origin policy to HTTP responses and
+ * exposes the same origin check for WebSocket upgrades
+ *
+ * Options:
+ *   origin          '*', a string, a RegExp, an array of strings/RegExps,
+ *                   a function (origin, req) -> boolean | string | Promise,
+ *                   or false to disable CORS headers
+ *   methods         methods allowed in preflight responses
+ *   allowedHeaders  request headers allowed in preflight responses
+ *                   (null reflects Access-Control-Request-Headers)
+ *   exposedHeaders  response headers readable by the browser
+ *   credentials     send Access-Control-Allow-Credentials: true
+ *   maxAge          preflight cache lifetime in seconds
+ *   routes          { '/path/prefix': overrides } - per-route policies,
+ *                   the longest matching prefix wins
+ */
+
+const DEFAULT_OPTIONS = {
+    origin: '*',
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: [],
+    credentials: false,
+    maxAge: 86400
+};
+
+const CORS_HEADERS = [
+    'Access-Control-Allow-Origin',
+    'Access-Control-Allow-Credentials',
+    'Access-Control-Expose-Headers'
+];
+
+// Merge options over a base policy and validate the origin setting
+function buildPolicy(base, options = {}) {
+    const policy = { ...base, ...options };
+    delete policy.routes;
+
+    const { origin } = policy;
+    const validOrigin = origin === false ||
+        typeof origin === 'string' ||
+        origin instanceof RegExp ||
+        typeof origin === 'function' ||
+        (Array.isArray(origin) && origin.every(item => typeof item === 'string' || item instanceof RegExp));
+    if (!validOrigin) {
+        throw new Error('CORS origin must be "*", a string, a RegExp, an array of those, a function or false');
+    }
+    return policy;
+}
+
+// Whether the Access-Control-Allow-Origin value depends on the request
+function variesByOrigin(policy) {
+    return !(policy.origin === '*' && !policy.credentials) && policy.origin !== false;
+}
+
+// Resolve the Access-Control-Allow-Origin value for a request origin, or null
+async function resolveOrigin(policy, origin, req) {
+    const { origin: allowed } = policy;
+
+    if (allowed === false) {
+        return null;
+    }
+    if (allowed === '*') {
+        // Wildcard can't be combined with credentials, so echo the origin instead
+        return policy.credentials ? origin : '*';
+    }
+    if (typeof allowed === 'string') {
+        return origin === allowed ? origin : null;
+    }
+    if (allowed instanceof RegExp) {
+        return allowed.test(origin) ? origin : null;
+    }
+    if (Array.isArray(allowed)) {
+        const matched = allowed.some(item => (item instanceof RegExp ? item.test(origin) : item === origin));
+        return matched ? origin : null;
+    }
+
+    const result = await allowed(origin, req);
+    if (typeof result === 'string') {
+        return result;
+    }
+    return result ? origin : null;
+}
+
+// Append a value to the Vary header without duplicating it
+function appendVary(res, field) {
+    const existing = res.getHeader('Vary');
+    if (!existing) {
+        res.setHeader('Vary', field);
+        return;
+    }
+    const fields = String(existing).split(',').map(item => item.trim().toLowerCase());
+    if (!fields.includes('*') && !fields.includes(field.toLowerCase())) {
+        res.setHeader('Vary', `${existing}, ${field}`);
+    }
+}
+
+/**
+ * CORS middleware factory. The returned middleware answers preflight
+ * (OPTIONS) requests itself and decorates every other response.
+ */
+function createCors(options = {}) {
+    const basePolicy = buildPolicy(DEFAULT_OPTIONS, options);
+    const routePolicies = Object.entries(options.routes || {})
+        .map(([prefix, overrides]) => ({
+            prefix: prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix,
+            policy: buildPolicy(basePolicy, overrides)
+        }))
+        .sort((a, b) => b.prefix.length - a.prefix.length);
+
+    // Policy for a path: the longest matching route override, else the base policy
+    function policyFor(pathname = '/') {
+        const match = routePolicies.find(({ prefix }) => {
+            return prefix === '/' || pathname === prefix || pathname.startsWith(prefix + '/');
+        });
+        return match ? match.policy : basePolicy;
+    }
+
+    async function cors(req, res, next) {
+        const pathname = req.parsedUrl ? req.parsedUrl.pathname : '/';
+        const policy = policyFor(pathname);
+        const origin = req.headers.origin;
+
+        // Clear headers from any policy applied earlier in the chain
+        CORS_HEADERS.forEach(header => res.removeHeader(header));
+
+        if (variesByOrigin(policy)) {
+            appendVary(res, 'Origin');
+        }
+
+        const allowOrigin = origin ? await resolveOrigin(policy, origin, req) : null;
+        if (allowOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+            if (policy.credentials) {
+                res.setHeader('Access-Control-Allow-Credentials', 'true');
+            }
+            if (policy.exposedHeaders.length > 0) {
+                res.setHeader('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+            }
+        }
+
+        if (req.method !== 'OPTIONS') {
+            return next();
+        }
+
+        // Preflight: answer here, with CORS headers only if the origin is allowed
+        if (allowOrigin) {
+            res.setHeader('Access-Control-Allow-Methods', policy.methods.join(', '));
+            if (policy.allowedHeaders) {
+                res.setHeader('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+            } else if (req.headers['access-control-request-headers']) {
+                res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers']);
+                appendVary(res, 'Access-Control-Request-Headers');
+            }
+            if (policy.maxAge !== undefined && policy.maxAge !== null) {
+                res.setHeader('Access-Control-Max-Age', String(policy.maxAge));
+            }
+        }
+        res.statusCode = 204;
+        res.setHeader('Content-Length', '0');
+        res.end();
+    }
+
+    // Origin check for non-HTTP entry points (WebSocket upgrades).
+    // Requests without an Origin header come from non-browser clients, and
+    // same-origin pages are always allowed.
+    cors.isOriginAllowed = async function (origin, req) {
+        if (!origin) {
+            return true;
+        }
+        try {
+            if (req && new URL(origin).host === req.headers.host) {
+                return true;
+            }
+        } catch {
+            return false; // Malformed Origin header
+        }
+        const pathname = req && req.url ? req.url.split('?')[0] : '/';
+        return Boolean(await resolveOrigin(policyFor(pathname), origin, req));
+    };
+
+    cors.policyFor = policyFor;
+
+    return cors;
+}
+
+module.exports = {
+    createCors
+};
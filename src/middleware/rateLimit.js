@@ -0,0 +1,71 @@
+/**
+ * HTTP Rate Limiting Middleware
+ * Token buckets per route rule, keyed by user when authenticated and by
+ * client IP otherwise. Over-limit requests get 429 with Retry-After.
+ *
+ * Options:
+ *   default  { capacity, refillPerSecond } for requests no rule matches
+ *   routes   { '/path/prefix' | 'METHOD /path/prefix': { capacity, refillPerSecond } }
+ *            the longest matching prefix wins, method-specific rules first
+ */
+
+const { RateLimiter, getClientIp } = require('../utils/rateLimiter');
+const { httpError } = require('../utils/httpError');
+
+// Parse "POST /upload" or "/api" into a rule
+function parseRule(pattern, limits) {
+    const match = /^(?:([A-Z]+)\s+)?(\/\S*)$/.exec(pattern.trim());
+    if (!match) {
+        throw new Error(`Invalid rate limit route "${pattern}", expected "/path" or "METHOD /path"`);
+    }
+    const prefix = match[2].length > 1 ? match[2].replace(/\/+$/, '') : match[2];
+    return {
+        pattern,
+        method: match[1] || null,
+        prefix,
+        limiter: new RateLimiter(limits)
+    };
+}
+
+// trustProxy: how client IPs are read (see getClientIp)
+function createRateLimit(options = {}, { trustProxy = false } = {}) {
+    const defaultLimiter = options.default ? new RateLimiter(options.default) : null;
+    const rules = Object.entries(options.routes || {})
+        .map(([pattern, limits]) => parseRule(pattern, limits))
+        .sort((a, b) => (b.prefix.length - a.prefix.length) || (Boolean(b.method) - Boolean(a.method)));
+
+    function ruleFor(method, pathname) {
+        return rules.find(rule => {
+            if (rule.method && rule.method !== method) {
+                return false;
+            }
+            return rule.prefix === '/' || pathname === rule.prefix || pathname.startsWith(rule.prefix + '/');
+        });
+    }
+
+    return function rateLimit(req, res, next) {
+        const pathname = req.parsedUrl ? req.parsedUrl.pathname : '/';
+        const rule = ruleFor(req.method, pathname);
+        const limiter = rule ? rule.limiter : defaultLimiter;
+        if (!limiter) {
+            return next();
+        }
+
+        const caller = req.user ? `user:${req.user.id}` : `ip:${getClientIp(req, trustProxy)}`;
+        const result = limiter.take(`${rule ? rule.pattern : 'default'}|${caller}`);
+
+        res.setHeader('RateLimit-Limit', String(limiter.capacity));
+        res.setHeader('RateLimit-Remaining', String(result.remaining));
+        if (result.allowed) {
+            return next();
+        }
+
+        const seconds = Number.isFinite(result.retryAfter) ? Math.ceil(result.retryAfter / 1000) : 3600;
+        res.setHeader('Retry-After', String(seconds));
+        return next(httpError(429, 'Too many requests, please try again later', { retryAfter: result.retryAfter }));
+    };
+}
+
+module.exports = {
+    createRateLimit
+};
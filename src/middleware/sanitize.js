@@ -40,6 +40,11 @@ function sanitizeObject(obj) {
         return sanitizeValue(obj);
     }
 
+    // Raw bodies are binary data, not user text
+    if (Buffer.isBuffer(obj)) {
+        return obj;
+    }
+
     if (Array.isArray(obj)) {
         return obj.map(item => sanitizeObject(item));
     }
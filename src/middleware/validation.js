@@ -1,4 +1,4 @@
-const { schemas, customRules, customMessages } = require('../validation/schemas');
+const { schemas, messageFrameSchema, customRules, customMessages } = require('../validation/schemas');
 const Joi = require('joi');
 
 // Extend Joi with custom rules
@@ -25,6 +25,16 @@ const extendedJoi = Joi.extend((joi) => ({
     }
 }));
 
+// Field-level details for a Joi error, shared by HTTP responses and
+// WebSocket error frames
+function formatValidationErrors(error) {
+    return error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        type: detail.type
+    }));
+}
+
 // Validation middleware factory
 function validateRequest(schemaName) {
     return (req, res, next) => {
@@ -40,20 +50,12 @@ function validateRequest(schemaName) {
         });
 
         if (error) {
-            // Format validation errors
-            const validationErrors = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message,
-                type: detail.type
-            }));
-
             // Send validation error response
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            return res.end(JSON.stringify({
+            return res.status(400).json({
                 error: 'Validation failed',
-                details: validationErrors,
+                details: formatValidationErrors(error),
                 timestamp: new Date().toISOString()
-            }));
+            });
         }
 
         // Replace body with validated data
@@ -114,12 +116,11 @@ function validateFile(req, res, next) {
     }
 
     if (errors.length > 0) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({
+        return res.status(400).json({
             error: 'File validation failed',
             details: errors,
             timestamp: new Date().toISOString()
-        }));
+        });
     }
 
     next();
@@ -134,18 +135,11 @@ function validateQuery(schema) {
         });
 
         if (error) {
-            const validationErrors = error.details.map(detail => ({
-                field: detail.path.join('.'),
-                message: detail.message,
-                type: detail.type
-            }));
-
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            return res.end(JSON.stringify({
+            return res.status(400).json({
                 error: 'Query validation failed',
-                details: validationErrors,
+                details: formatValidationErrors(error),
                 timestamp: new Date().toISOString()
-            }));
+            });
         }
 
         req.query = value;
@@ -153,8 +147,28 @@ function validateQuery(schema) {
     };
 }
 
+/**
+ * Validate an inbound WebSocket frame ({ type, data }).
+ * Returns { value } with unknown keys stripped, or { details } listing
+ * every failing field the way validateRequest reports them.
+ */
+function validateMessage(message) {
+    const { error, value } = messageFrameSchema.validate(message, {
+        abortEarly: false,
+        // Only object keys: stripping array items would silently drop
+        // invalid channel names instead of reporting them
+        stripUnknown: { objects: true }
+    });
+    if (error) {
+        return { details: formatValidationErrors(error) };
+    }
+    return { value };
+}
+
 module.exports = {
     validateRequest,
+    validateMessage,
+    formatValidationErrors,
     validateFile,
     validateQuery,
     extendedJoi
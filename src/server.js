@@ -1,97 +1,225 @@
 const http = require('http');
+const EventEmitter = require('events');
 const url = require('url');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const nodeCluster = require('cluster');
 
 // Import modules
 const Router = require('./utils/router');
-const { serveStatic } = require('./utils/staticHandler');
 const { setupWebSocketServer } = require('./websocket/server');
-const { handleUpload } = require('./utils/uploadHandler');
+const { Hub, ALL_CLIENTS } = require('./websocket/hub');
+const { RoomManager } = require('./websocket/rooms');
+const { UploadHandler } = require('./utils/uploadHandler');
+const { sanitizeInput } = require('./middleware/sanitize');
+const { validateRequest } = require('./middleware/validation');
+const { extendResponse } = require('./utils/response');
+const { createBodyParser } = require('./middleware/bodyParser');
+const { createCors } = require('./middleware/cors');
+const { createRateLimit } = require('./middleware/rateLimit');
+const { loadConfig, redactConfig } = require('./config');
+const { createAuth } = require('./auth');
+const { createPolicy, forbidden } = require('./auth/policy');
+const { createMessageStore, parseHistoryQuery } = require('./stores/messageStore');
+const { createBoardStore } = require('./stores/boardStore');
+const { createClusterAdapter, Supervisor, isSupervisedWorker, workerSlot, CONTROL_CHANNEL } = require('./cluster');
+const { ServerMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { logger } = require('./utils/logger');
+const { getClientIp } = require('./utils/rateLimiter');
+const { httpError } = require('./utils/httpError');
+
+// Client-supplied X-Request-Id values are reused only when they look like an id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Store options for this process: a supervised worker appends to its own
+// slot's file (e.g. data/chat.worker-1.jsonl), since workers can't share
+// one log, and takes chat ids from its slot
+function workerStoreOptions(options) {
+    const slot = workerSlot();
+    if (!slot) {
+        return options;
+    }
+    const result = { ...options, idSlot: slot.slot, idSlots: slot.slots };
+    if (typeof options.file === 'string') {
+        const { dir, name, ext } = path.parse(options.file);
+        result.file = path.join(dir, `${name}.worker-${slot.slot}${ext}`);
+    }
+    return result;
+}
 
-class WebServer {
-    constructor() {
-        this.port = process.env.PORT || 3000;
+/**
+ * Lifecycle events:
+ *   'listening' (address)                  listen() succeeded
+ *   'draining'  ({ timeout, inFlight, clients })  shutdown() started
+ *   'drained'   ({ forced, inFlight, clients })   drain finished or hit its deadline
+ *   'close'                                 everything listen() started is stopped
+ */
+class WebServer extends EventEmitter {
+    // options override the config file and environment (see src/config)
+    constructor(options = {}) {
+        super();
+        this.config = loadConfig(options);
+        this.port = this.config.port;
+        logger.configure({
+            level: this.config.logging.level,
+            format: this.config.logging.format,
+            env: this.config.env
+        });
         this.router = new Router();
+        this.cors = createCors(this.config.cors);
+        this.auth = createAuth(this.config.auth);
+        this.policy = createPolicy(this.config.auth.roles);
+        // Registry behind /metrics, /api/stats and the metrics channel
+        this.metrics = new ServerMetrics({
+            httpConnections: () => (this.sockets ? this.sockets.size : 0),
+            inFlight: () => this.inFlight.size,
+            websocketConnections: () => this.clients.size
+        }, { eventLoopResolution: this.config.metrics.eventLoopResolution });
+        this.uploadHandler = new UploadHandler({
+            ...this.config.uploads,
+            exposeErrorDetails: this.config.env === 'development',
+            metrics: this.metrics
+        });
         this.clients = new Map(); // Changed to Map for WebSocket module compatibility
+        // Link to the other server nodes; joined by listen()
+        this.cluster = createClusterAdapter(this.config.cluster);
+        this.hub = new Hub({ // Topic index behind every WebSocket broadcast
+            backpressure: this.config.websocket.backpressure,
+            adapter: this.cluster,
+            metrics: this.metrics
+        });
+        this.rooms = new RoomManager(this.hub, { ...this.config.websocket, cluster: this.cluster });
+        // Messages other nodes published reach this node's subscribers
+        this.cluster.on('publish', ({ topic, payload, exceptClientId }) => {
+            this.hub.publish(topic, payload, { exceptClientId, local: true });
+        });
+        this.chatHistory = createMessageStore(workerStoreOptions(this.config.chatHistory)); // Opened by listen()
+        this.boards = createBoardStore(workerStoreOptions(this.config.whiteboard));
+        // Request counts and rates live in this.metrics
         this.serverStats = {
-            totalRequests: 0,
-            activeConnections: 0,
-            requestsPerSecond: 0,
-            startTime: Date.now(),
-            requestTimestamps: [] // Track requests for RPS calculation
+            startTime: Date.now()
         };
-        // Lock for thread-safe access to requestTimestamps
-        this.statsLock = false;
+        this.draining = false;
+        this.inFlight = new Set(); // Responses that haven't finished yet
         
-        this.setupDirectories();
+        // Nothing here touches the disk or starts timers; listen() does that
         this.setupRoutes();
-        this.startMetricsCalculation();
     }
 
     setupDirectories() {
-        const dirs = ['public', 'uploads'];
-        dirs.forEach(dir => {
-            const dirPath = path.join(__dirname, '..', dir);
+        const dirs = [path.join(__dirname, '..', 'public'), this.config.uploads.dir];
+        dirs.forEach(dirPath => {
             if (!fs.existsSync(dirPath)) {
                 fs.mkdirSync(dirPath, { recursive: true });
-                console.log(`📁 Created directory: ${dir}`);
+                logger.info('Created directory', { path: dirPath });
             }
         });
     }
 
+    // Register global or path-scoped middleware
+    use(...args) {
+        this.router.use(...args);
+        return this;
+    }
+
     setupRoutes() {
+        // CORS first, so preflights are answered before anything reads the body
+        this.router.use(this.cors);
+
+        // Identify the caller (req.user) from a bearer token, API key or session cookie
+        this.router.use(this.auth.middleware);
+
+        // Throttle per route, keyed by user or client IP (429 with Retry-After)
+        if (this.config.rateLimit.enabled) {
+            this.router.use(createRateLimit(this.config.rateLimit.http, { trustProxy: this.config.trustProxy }));
+        }
+
+        const requireUser = this.config.auth.required
+            ? this.auth.requireAuth
+            : (req, res, next) => next();
+
+        // Parse JSON, urlencoded, text and raw bodies (multipart is left to uploads)
+        this.router.use(createBodyParser({ limit: this.config.body.limit }));
+
+        // Sanitize query and body input for all API endpoints
+        this.router.use('/api', sanitizeInput);
+
+        // With auth.required, every API call needs an identity (admin routes have their own guard)
+        this.router.use('/api', (req, res, next) => {
+            if (req.path === '/admin' || req.path.startsWith('/admin/')) {
+                return next();
+            }
+            return requireUser(req, res, next);
+        });
+
         // GET routes
         this.router.get('/', (req, res) => {
-            serveStatic(req, res, '/index.html');
+            return res.sendFile('/index.html');
         });
 
         this.router.get('/websocket-demo', (req, res) => {
-            serveStatic(req, res, '/websocket-demo.html');
+            return res.sendFile('/websocket-demo.html');
         });
 
         this.router.get('/whiteboard', (req, res) => {
-            serveStatic(req, res, '/whiteboard.html');
+            return res.sendFile('/whiteboard.html');
         });
 
         this.router.get('/upload', (req, res) => {
-            serveStatic(req, res, '/upload.html');
+            return res.sendFile('/upload.html');
         });
 
         // File upload endpoint
-        this.router.post('/upload', async (req, res) => {
-            await handleUpload(req, res);
+        this.router.post('/upload', requireUser, this.policy.requirePermission('upload'), async (req, res) => {
+            await this.uploadHandler.handleUpload(req, res);
         });
 
-        this.router.get('/api/stats', (req, res) => {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify({
+        this.router.get('/api/stats', this.policy.requirePermission('stats:read'), (req, res) => {
+            res.json({
                 server: {
-                    ...this.serverStats,
+                    totalRequests: this.metrics.httpRequests.total(),
+                    activeConnections: this.metrics.httpConnections.get(),
+                    requestsPerSecond: this.metrics.requestsPerSecond.get(),
+                    // Requests per second over the last 1s/1m/5m/15m, overall and by route and status
+                    requestRates: this.metrics.requestRates.snapshot(),
+                    startTime: this.serverStats.startTime,
                     uptime: Math.floor((Date.now() - this.serverStats.startTime) / 1000)
                 },
                 webSocket: {
-                    connections: this.clients.size,
+                    connections: this.clusterStats().connections,
+                    localConnections: this.metrics.websocketConnections.get(),
+                    delivery: { ...this.hub.stats },
+                    slowConsumers: { ...this.hub.slowConsumers },
                     uptime: Math.floor((Date.now() - this.serverStats.startTime) / 1000)
                 },
+                cluster: {
+                    ...this.clusterStats(),
+                    // Per node (worker), this one first
+                    nodeStats: [
+                        { nodeId: this.cluster.nodeId, ...this.nodeStats() },
+                        ...this.cluster.nodeStats()
+                    ]
+                },
                 system: {
                     nodeVersion: process.version,
                     platform: process.platform,
-                    memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
+                    memory: Math.round(this.metrics.heapUsed.get() / 1024 / 1024) + 'MB'
                 }
-            }));
+            });
         });
 
+        // Prometheus scrape endpoint (this process only)
+        if (this.config.metrics.enabled) {
+            this.router.get(this.config.metrics.path, this.policy.requirePermission('stats:read'), (req, res) => {
+                res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+                res.end(this.metrics.render());
+            });
+        }
+
         // API endpoint for demo data
         this.router.get('/api/data', (req, res) => {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify({
+            res.json({
                 success: true,
                 message: 'API endpoint working!',
                 data: {
@@ -106,16 +234,12 @@ class WebServer {
                         'Real-time Communication'
                     ]
                 }
-            }));
+            });
         });
 
         // API endpoint for server evolution info
         this.router.get('/api/evolution', (req, res) => {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify({
+            res.json({
                 success: true,
                 evolution: {
                     version: '2.0.0',
@@ -129,34 +253,29 @@ class WebServer {
                     architecture: 'Modular, scalable, production-ready',
                     builtWith: 'Node.js native modules (no Express.js)'
                 }
-            }));
+            });
         });
 
         // API endpoint for POST requests
-        this.router.post('/api/data', async (req, res) => {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify({
+        this.router.post('/api/data', validateRequest('message'), async (req, res) => {
+            res.json({
                 success: true,
                 message: 'POST request received successfully',
                 received: req.body,
                 timestamp: new Date().toISOString(),
                 server: 'Web Server v2.0'
-            }));
+            });
         });
 
 
         // Serve uploaded files
-        this.router.get('/uploads/*', async (req, res) => {
-            const filePath = req.parsedUrl.pathname;
-            const fullPath = path.join(__dirname, '..', filePath);
+        this.router.get('/uploads/*path', async (req, res) => {
+            const fullPath = path.join(this.config.uploads.dir, req.params.path);
             
             try {
                 // Security check
                 const resolvedPath = path.resolve(fullPath);
-                const uploadsDir = path.resolve(__dirname, '..', 'uploads');
+                const uploadsDir = path.resolve(this.config.uploads.dir);
                 if (!resolvedPath.startsWith(uploadsDir)) {
                     this.sendError(res, 403, 'Forbidden');
                     return;
@@ -166,136 +285,193 @@ class WebServer {
                 const ext = path.extname(fullPath);
                 const contentType = this.getContentType(ext);
                 
-                res.writeHead(200, {
-                    'Content-Type': contentType,
-                    'Access-Control-Allow-Origin': '*'
-                });
-                res.end(content);
+                res.status(200).set('Content-Type', contentType).send(content);
             } catch (error) {
                 if (error.code === 'ENOENT') {
                     this.sendError(res, 404, 'File not found');
                 } else {
-                    console.error('Error serving uploaded file:', error);
+                    req.log.error('Error serving uploaded file', { error });
                     this.sendError(res, 500, 'Internal Server Error');
                 }
             }
         });
 
+        // Chat history, oldest first: ?room=&before=&after=&limit=
+        // Room history follows the WebSocket rule: the caller must be in the
+        // room, i.e. have a WebSocket connection that joined it
+        this.router.get('/api/chat/history', async (req, res, next) => {
+            const { room, before, after, limit } = req.query;
+            const permission = room ? `room:${room}` : 'subscribe:chat';
+            if (!this.policy.can(req.user, permission)) {
+                return next(forbidden(permission));
+            }
+            if (room && !(req.user && this.rooms.hasUser(room, req.user.id))) {
+                return next(httpError(403, `Join room "${room}" before reading its history`));
+            }
+
+            const query = parseHistoryQuery({ room, before, after, limit }, this.config.chatHistory.maxLimit);
+            const { messages, hasMore } = await this.chatHistory.query(query);
+            res.json({
+                success: true,
+                room: query.room,
+                messages,
+                hasMore
+            });
+        });
+
+        // Current identity
+        this.router.get('/api/auth/me', (req, res) => {
+            res.json({
+                success: true,
+                authenticated: Boolean(req.user),
+                user: req.user,
+                permissions: this.policy.permissionsFor(req.user)
+            });
+        });
+
+        // Exchange a bearer token or API key for a session cookie (browsers
+        // send it on WebSocket upgrades), and log out
+        if (this.config.auth.session.secret) {
+            this.router.post('/api/auth/session', this.auth.requireAuth, (req, res) => {
+                this.auth.startSession(res, req.user);
+                res.json({ success: true, user: req.user });
+            });
+
+            this.router.delete('/api/auth/session', (req, res) => {
+                this.auth.endSession(res);
+                res.json({ success: true });
+            });
+        }
+
+        // Resolved configuration with secrets redacted; without an explicit
+        // admin.enabled, only served when a token guards it
+        const { enabled: adminEnabled, token: adminToken } = this.config.admin;
+        if (adminEnabled === null ? Boolean(adminToken) : adminEnabled) {
+            this.router.get('/api/admin/config', (req, res, next) => this.requireAdmin(req, res, next), (req, res) => {
+                res.json({
+                    success: true,
+                    config: redactConfig(this.config)
+                });
+            });
+        }
+
         // Static files catch-all
         this.router.get('*', (req, res) => {
-            serveStatic(req, res, req.parsedUrl.pathname);
+            return res.sendFile(req.parsedUrl.pathname);
         });
     }
 
-    // Calculate requests per second (thread-safe)
-    startMetricsCalculation() {
-        setInterval(() => {
-            const now = Date.now();
-            // Thread-safe filter operation
-            while (this.statsLock) {
-                // Wait for lock to be released (simple spin lock)
-                // In production, consider using a proper mutex library
+    // Guard admin endpoints: callers with the "admin" permission, otherwise the
+    // admin bearer token when configured, otherwise loopback only. Behind a
+    // proxy (trustProxy) every request arrives from the proxy, so loopback
+    // proves nothing and only the first two are accepted.
+    requireAdmin(req, res, next) {
+        if (req.user && this.policy.can(req.user, 'admin')) {
+            return next();
+        }
+
+        const { token } = this.config.admin;
+
+        if (!token) {
+            if (this.config.trustProxy) {
+                return this.sendError(res, 403, 'Admin endpoints need admin.token or the admin permission when trustProxy is set');
             }
-            this.statsLock = true;
-            try {
-                // Keep only requests from last second
-                this.serverStats.requestTimestamps = this.serverStats.requestTimestamps.filter(
-                    timestamp => now - timestamp < 1000
-                );
-                this.serverStats.requestsPerSecond = this.serverStats.requestTimestamps.length;
-            } finally {
-                this.statsLock = false;
+            const address = req.socket.remoteAddress;
+            if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) {
+                return next();
             }
-        }, 1000);
+            return this.sendError(res, 403, 'Admin endpoints are only available from localhost');
+        }
+
+        const header = req.headers.authorization || '';
+        const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(token);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this.sendError(res, 401, 'Unauthorized');
+        }
+        return next();
     }
 
-    // Log requests
-    logRequest(req) {
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] ${req.method} ${req.url}`);
+    // Reuse the caller's X-Request-Id (e.g. from a proxy) or make a new one
+    requestId(req) {
+        const header = req.headers['x-request-id'];
+        return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
     }
 
-    // Parse request body
-    async parseBody(req) {
-        return new Promise((resolve) => {
-            if (req.method === 'POST') {
-                let body = '';
-                req.on('data', chunk => {
-                    body += chunk.toString();
-                });
-                req.on('end', () => {
-                    try {
-                        req.body = JSON.parse(body);
-                    } catch {
-                        req.body = require('querystring').parse(body);
-                    }
-                    resolve();
-                });
-            } else {
-                resolve();
-            }
+    // One access log entry per request, once the response is done or abandoned
+    logAccess(req, res, startedAt, bytesBefore) {
+        if (!this.config.logging.accessLog) {
+            return;
+        }
+        const socket = req.socket;
+        req.log.info('Request completed', {
+            method: req.method,
+            url: req.url,
+            route: req.routePath,
+            status: res.writableFinished ? res.statusCode : 'aborted',
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+            // Bytes written to the socket for this response, headers included
+            bytes: socket ? socket.bytesWritten - bytesBefore : 0,
+            ip: socket ? getClientIp(req, this.config.trustProxy) : undefined,
+            userAgent: req.headers['user-agent']
         });
     }
 
     // Handle HTTP request
     async handleRequest(req, res) {
+        const startedAt = process.hrtime.bigint();
+        const bytesBefore = req.socket ? req.socket.bytesWritten : 0;
+        req.id = this.requestId(req);
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader('X-Request-Id', req.id);
+        res.on('close', () => {
+            this.metrics.observeRequest(req, res, startedAt);
+            this.logAccess(req, res, startedAt, bytesBefore);
+        });
         const parsedUrl = url.parse(req.url, true);
         req.parsedUrl = parsedUrl;
         req.query = parsedUrl.query;
-        
-        // Log request
-        this.logRequest(req);
-        this.serverStats.totalRequests++;
-        
-        // Thread-safe timestamp addition
-        while (this.statsLock) {
-            // Wait for lock (simple spin lock)
-        }
-        this.statsLock = true;
-        try {
-            this.serverStats.requestTimestamps.push(Date.now());
-        } finally {
-            this.statsLock = false;
-        }
-        
-        // Parse body if POST
-        await this.parseBody(req);
-        
-        // Handle OPTIONS for CORS
-        if (req.method === 'OPTIONS') {
-            res.writeHead(200, {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                'Access-Control-Max-Age': '86400'
-            });
-            res.end();
+        extendResponse(req, res);
+
+        // Refuse new work while draining; requests already running may finish
+        if (this.draining) {
+            res.setHeader('Connection', 'close');
+            res.setHeader('Retry-After', String(Math.ceil(this.config.shutdown.reconnectDelay / 1000)));
+            this.sendError(res, 503, 'Server is shutting down');
             return;
         }
+        this.inFlight.add(res);
+        res.on('close', () => this.inFlight.delete(res));
         
-        // Add CORS headers to all responses
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-        
-        // Find and execute route
-        const handler = this.router.find(req.method, parsedUrl.pathname);
-        
-        if (handler) {
-            try {
-                await handler(req, res);
-            } catch (error) {
-                console.error('Handler error:', error);
-                this.sendError(res, 500, 'Internal Server Error', error);
+        // Run middleware and the matching route
+        await this.router.handle(req, res, (error) => {
+            if (error) {
+                return this.handleError(error, req, res);
             }
-        } else {
-            // Try serving as static file
-            try {
-                await serveStatic(req, res, parsedUrl.pathname);
-            } catch (error) {
-                this.sendError(res, 404, 'Not Found', error);
+            // No route ended the response - try serving as static file
+            return res.sendFile(parsedUrl.pathname);
+        });
+    }
+
+    // Central error handler for the middleware pipeline
+    handleError(error, req, res) {
+        const code = error.status || error.statusCode || 500;
+        if (code >= 500) {
+            req.log.error('Handler error', { error, method: req.method, url: req.url });
+        }
+
+        // Too late to send an error response, just finish what was started
+        if (res.headersSent) {
+            if (!res.writableEnded) {
+                res.end();
             }
+            return;
         }
+
+        // Client errors carry a safe message, server errors never do
+        const message = code < 500 ? error.message : 'Internal Server Error';
+        this.sendError(res, code, message, error);
     }
 
     // Get content type helper
@@ -319,7 +495,7 @@ class WebServer {
 
     // Error response (safe for production)
     sendError(res, code, message, error = null) {
-        const isDevelopment = process.env.NODE_ENV === 'development';
+        const isDevelopment = this.config.env === 'development';
         const errorResponse = {
             error: message,
             code: code,
@@ -332,40 +508,18 @@ class WebServer {
             errorResponse.details = error.message;
         }
         
-        res.writeHead(code, { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-        });
-        res.end(JSON.stringify(errorResponse));
+        res.status(code).json(errorResponse);
     }
 
-    // Broadcast to all WebSocket clients (async, non-blocking)
+    // Broadcast to all WebSocket clients; returns the hub's delivery counts
     broadcast(data) {
-        const message = JSON.stringify(data);
-        // Use setImmediate to make this non-blocking
-        setImmediate(() => {
-            this.clients.forEach((client, clientId) => {
-                if (client.readyState === 1) { // WebSocket.OPEN
-                    try {
-                        client.send(message);
-                    } catch (error) {
-                        console.error(`Error broadcasting to ${clientId}:`, error);
-                        // Remove dead connection
-                        if (client.readyState !== 1) {
-                            this.clients.delete(clientId);
-                        }
-                    }
-                }
-            });
-        });
+        return this.hub.publish(ALL_CLIENTS, data);
     }
 
-    // Broadcast chat message to subscribed clients (async, non-blocking)
+    // Broadcast chat message to clients subscribed to chat
     // This is only used for system messages, not user chat (user chat handled in handlers.js)
     broadcastChatMessage(message, from = 'System', clientId = null) {
-        const chatMessage = {
+        return this.hub.publish('chat', {
             type: 'chat',
             data: {
                 from,
@@ -374,128 +528,395 @@ class WebServer {
                 timestamp: new Date().toISOString(),
                 clientId: clientId || null
             }
-        };
-        
-        const messageStr = JSON.stringify(chatMessage);
-        const clientsToRemove = []; // Collect clients to remove after iteration
-        
-        // Use setImmediate to make this non-blocking
-        setImmediate(() => {
-            // Create a copy to avoid iteration issues
-            const clientsArray = Array.from(this.clients.entries());
-            
-            clientsArray.forEach(([id, client]) => {
-                if (client.readyState === 1) {
-                    // Only send if client has explicitly subscribed to chat
-                    // Empty subscriptions means no subscriptions (opt-in model)
-                    if (client.subscriptions && client.subscriptions.length > 0 && client.subscriptions.includes('chat')) {
-                        try {
-                            client.send(messageStr);
-                        } catch (error) {
-                            console.error(`Error sending chat message to ${id}:`, error);
-                            // Mark for removal
-                            if (client.readyState !== 1) {
-                                clientsToRemove.push(id);
-                            }
-                        }
-                    }
-                } else {
-                    // Mark dead connections for removal
-                    clientsToRemove.push(id);
-                }
-            });
-            
-            // Remove dead connections after iteration
-            clientsToRemove.forEach(id => {
-                this.clients.delete(id);
-            });
         });
     }
 
-    // Broadcast metrics to subscribed clients (async, non-blocking)
-    broadcastMetrics() {
-        const metrics = {
+    // This node's counts as shared with the cluster
+    nodeStats() {
+        return {
+            pid: process.pid,
+            connections: this.metrics.websocketConnections.get(),
+            totalRequests: this.metrics.httpRequests.total(),
+            requestsPerSecond: this.metrics.requestsPerSecond.get(),
+            uptime: Math.floor((Date.now() - this.serverStats.startTime) / 1000)
+        };
+    }
+
+    // This node's counts plus those of every other cluster node
+    clusterStats() {
+        const local = this.nodeStats();
+        const remote = this.cluster.remoteStats();
+        return {
+            nodeId: this.cluster.nodeId,
+            nodes: remote.nodes + 1,
+            connections: local.connections + remote.connections,
+            totalRequests: local.totalRequests + remote.totalRequests,
+            requestsPerSecond: local.requestsPerSecond + remote.requestsPerSecond
+        };
+    }
+
+    // Payload of a metrics message (cluster-wide counts, this node's uptime)
+    metricsMessage() {
+        const cluster = this.clusterStats();
+        return {
             type: 'metrics',
             data: {
-                totalRequests: this.serverStats.totalRequests,
-                activeConnections: this.clients.size,
-                requestsPerSecond: this.serverStats.requestsPerSecond,
+                totalRequests: cluster.totalRequests,
+                activeConnections: cluster.connections,
+                requestsPerSecond: cluster.requestsPerSecond,
+                nodes: cluster.nodes,
                 uptime: Math.floor((Date.now() - this.serverStats.startTime) / 1000)
             }
         };
+    }
+
+    // Broadcast metrics to this node's clients subscribed to metrics
+    // (every node broadcasts its own, so they aren't forwarded)
+    broadcastMetrics() {
+        return this.hub.publish('metrics', this.metricsMessage(), { local: true });
+    }
+
+    // Validate the upgrade path and origin, then hand the socket to the WebSocket server
+    async handleUpgrade(request, socket, head) {
+        // No new WebSocket connections once draining has started
+        if (this.draining) {
+            socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        const pathname = url.parse(request.url).pathname;
         
-        const metricsStr = JSON.stringify(metrics);
-        const clientsToRemove = []; // Collect clients to remove after iteration
+        // Validate WebSocket upgrade path (allow root and common paths)
+        const { allowedPaths } = this.config.websocket;
+        if (!allowedPaths.includes(pathname)) {
+            logger.warn('WebSocket upgrade rejected', { reason: 'path', path: pathname });
+            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        // Apply the same Origin policy as HTTP requests
+        let originAllowed = false;
+        try {
+            originAllowed = await this.cors.isOriginAllowed(request.headers.origin, request);
+        } catch (error) {
+            logger.error('CORS origin check failed', { error });
+        }
+        if (!originAllowed) {
+            logger.warn('WebSocket upgrade rejected', { reason: 'origin', origin: request.headers.origin });
+            socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        // Identify the client before accepting the upgrade
+        let user = null;
+        try {
+            user = this.auth.authenticate(request, { allowQueryToken: true });
+        } catch (error) {
+            logger.warn('WebSocket upgrade rejected', { reason: 'auth', error: error.message });
+            socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        if (!user && this.config.auth.required) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        request.user = user;
+
+        // The server may have started draining while the origin check ran
+        if (!this.wss || this.draining) {
+            socket.destroy();
+            return;
+        }
         
-        // Use setImmediate to make this non-blocking
-        setImmediate(() => {
-            // Create a copy to avoid iteration issues
-            const clientsArray = Array.from(this.clients.entries());
-            
-            clientsArray.forEach(([clientId, client]) => {
-                if (client.readyState === 1) {
-                    // Only send if client has explicitly subscribed to metrics
-                    // Empty subscriptions means no subscriptions (opt-in model)
-                    if (client.subscriptions && client.subscriptions.length > 0 && client.subscriptions.includes('metrics')) {
-                        try {
-                            client.send(metricsStr);
-                        } catch (error) {
-                            console.error(`Error sending metrics to ${clientId}:`, error);
-                            // Mark for removal
-                            if (client.readyState !== 1) {
-                                clientsToRemove.push(clientId);
-                            }
-                        }
-                    }
-                } else {
-                    // Mark dead connections for removal
-                    clientsToRemove.push(clientId);
-                }
-            });
-            
-            // Remove dead connections after iteration
-            clientsToRemove.forEach(clientId => {
-                this.clients.delete(clientId);
-            });
+        // Upgrade WebSocket connection
+        const wss = this.wss;
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            wss.emit('connection', ws, request);
         });
     }
 
-    // Start server
-    start() {
+    // Start listening. Resolves with the bound address ({ address, family, port }),
+    // so port 0 can be used to get a free port.
+    listen({ port = this.config.port, host = this.config.host } = {}) {
+        if (this.httpServer) {
+            return Promise.reject(new Error('Server is already listening'));
+        }
+
+        this.setupDirectories();
+
         // Create HTTP server
         const server = http.createServer((req, res) => {
             this.handleRequest(req, res);
         });
 
-        // Setup WebSocket server using the module
-        const wss = setupWebSocketServer(this);
+        // Track raw sockets so close() can end idle keep-alive connections
+        this.sockets = new Set();
+        server.on('connection', (socket) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
 
-        // Handle WebSocket upgrade requests with path validation
+        // Setup WebSocket server using the module
+        this.wss = setupWebSocketServer(this);
         server.on('upgrade', (request, socket, head) => {
-            const pathname = url.parse(request.url).pathname;
-            
-            // Validate WebSocket upgrade path (allow root and common paths)
-            const allowedPaths = ['/', '/websocket-demo', '/whiteboard', '/ws'];
-            if (!allowedPaths.includes(pathname)) {
-                console.warn(`⚠️ WebSocket upgrade rejected for path: ${pathname}`);
-                socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-                socket.destroy();
+            this.handleUpgrade(request, socket, head);
+        });
+
+        this.httpServer = server;
+        this.metrics.start();
+
+        // Start metrics broadcasting
+        this.metricsBroadcastTimer = setInterval(() => {
+            this.broadcastMetrics();
+        }, this.config.websocket.metricsInterval);
+
+        return new Promise((resolve, reject) => {
+            const onListenError = (error) => {
+                this.stopTimers();
+                this.cluster.stop().catch(() => {});
+                this.wss.close();
+                this.wss = null;
+                this.httpServer = null;
+                reject(error);
+            };
+
+            server.once('error', onListenError);
+            // Load persisted chat history and boards and join the cluster
+            // before accepting connections
+            Promise.all([
+                this.chatHistory.init && this.chatHistory.init(),
+                this.boards.init()
+            ]).then(() => this.cluster.start(() => ({
+                stats: this.nodeStats(),
+                rooms: this.rooms.snapshot()
+            }))).then(() => server.listen(port, host || undefined, () => {
+                server.removeListener('error', onListenError);
+                server.on('error', (error) => {
+                    logger.error('Server error', { error });
+                });
+
+                const address = server.address();
+                this.port = address.port;
+                this.emit('listening', address);
+                resolve(address);
+            }), onListenError);
+        });
+    }
+
+    // Stop the metrics timers started by listen()
+    stopTimers() {
+        this.metrics.stop();
+        clearInterval(this.metricsBroadcastTimer);
+        this.metricsBroadcastTimer = null;
+    }
+
+    // Graceful shutdown: refuse new requests (503) and upgrades, ask WebSocket
+    // clients to reconnect, wait for in-flight requests and uploads, then
+    // close() - which force-closes anything still open after the deadline
+    shutdown({ timeout = this.config.shutdown.timeout } = {}) {
+        if (!this.httpServer) {
+            return Promise.resolve();
+        }
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.drain(timeout).finally(() => {
+                this.shutdownPromise = null;
+            });
+        }
+        return this.shutdownPromise;
+    }
+
+    async drain(timeout) {
+        this.draining = true;
+        this.emit('draining', { timeout, inFlight: this.inFlight.size, clients: this.clients.size });
+
+        // Keep-alive connections close once their current response is done
+        this.inFlight.forEach((res) => {
+            if (!res.headersSent) {
+                res.setHeader('Connection', 'close');
+            }
+        });
+        this.httpServer.closeIdleConnections();
+
+        this.disconnectClients();
+
+        const drained = await this.waitUntilIdle(timeout);
+        if (!drained) {
+            logger.warn('Drain deadline reached, forcing close', {
+                timeoutMs: timeout,
+                inFlight: this.inFlight.size,
+                clients: this.clients.size
+            });
+        }
+        this.emit('drained', { forced: !drained, inFlight: this.inFlight.size, clients: this.clients.size });
+
+        await this.close();
+    }
+
+    // Tell WebSocket clients to reconnect, then close them with 1001 Going Away
+    disconnectClients() {
+        // Only this node is going away
+        this.hub.publish(ALL_CLIENTS, {
+            type: 'system',
+            data: {
+                message: 'Server is shutting down, please reconnect',
+                reconnect: true,
+                reconnectAfter: this.config.shutdown.reconnectDelay,
+                timestamp: new Date().toISOString()
+            }
+        }, { local: true });
+
+        this.clients.forEach((client, clientId) => {
+            if (client.readyState !== 1) { // WebSocket.OPEN
                 return;
             }
-            
-            // Upgrade WebSocket connection
-            wss.handleUpgrade(request, socket, head, (ws) => {
-                wss.emit('connection', ws, request);
+            try {
+                client.close(1001, 'Server shutting down');
+            } catch (error) {
+                logger.error('Error closing client', { clientId, error });
+            }
+        });
+    }
+
+    // Resolve true once no requests or WebSocket clients remain, false at the deadline
+    waitUntilIdle(timeout) {
+        const deadline = Date.now() + timeout;
+        return new Promise((resolve) => {
+            const check = () => {
+                if (this.inFlight.size === 0 && this.clients.size === 0) {
+                    resolve(true);
+                } else if (Date.now() >= deadline) {
+                    resolve(false);
+                } else {
+                    setTimeout(check, 50);
+                }
+            };
+            check();
+        });
+    }
+
+    // Stop everything listen() started: timers, WebSocket clients and their
+    // heartbeats, the HTTP server and any open keep-alive sockets
+    async close() {
+        const server = this.httpServer;
+        const wss = this.wss;
+        if (!server) {
+            return;
+        }
+        this.httpServer = null;
+        this.wss = null;
+
+        this.stopTimers();
+        this.disableSignalHandling();
+
+        // Terminating triggers each client's close handler, which clears its heartbeat
+        this.clients.forEach((client) => {
+            try {
+                client.terminate();
+            } catch (error) {
+                logger.error('Error terminating client', { clientId: client.id, error });
+            }
+        });
+        this.clients.clear();
+
+        await new Promise(resolve => wss.close(() => resolve()));
+        await new Promise((resolve) => {
+            server.close(() => resolve());
+            this.sockets.forEach(socket => socket.destroy());
+        });
+
+        await this.cluster.stop();
+        if (this.chatHistory.close) {
+            await this.chatHistory.close();
+        }
+        await this.boards.close();
+
+        this.draining = false;
+        this.inFlight.clear();
+        this.emit('close');
+    }
+
+    // Drain on SIGINT/SIGTERM and exit (opt-in via config.handleSignals).
+    // A second signal during the drain falls through to Node's default and exits at once.
+    enableSignalHandling() {
+        if (this.signalHandler) {
+            return;
+        }
+        this.signalHandler = async (signal) => {
+            logger.info('Signal received, draining connections', { signal });
+            try {
+                await this.shutdown();
+                logger.info('Server closed');
+                process.exit(0);
+            } catch (error) {
+                logger.error('Error during shutdown', { error });
+                process.exit(1);
+            }
+        };
+        process.once('SIGINT', this.signalHandler);
+        process.once('SIGTERM', this.signalHandler);
+    }
+
+    disableSignalHandling() {
+        if (this.signalHandler) {
+            process.removeListener('SIGINT', this.signalHandler);
+            process.removeListener('SIGTERM', this.signalHandler);
+            this.signalHandler = null;
+        }
+    }
+
+    // Drain and exit when the supervisor retires this worker
+    listenForSupervisor() {
+        process.on('message', (message) => {
+            const control = message && message[CONTROL_CHANNEL];
+            if (!control || control.command !== 'shutdown' || !this.httpServer) {
+                return;
+            }
+            // Stop accepting first so the primary hands new connections to
+            // the other workers instead of this one answering 503
+            this.httpServer.close();
+            this.shutdown().then(() => process.exit(0), (error) => {
+                logger.error('Error during worker shutdown', { error });
+                process.exit(1);
             });
         });
+    }
 
-        // Start metrics broadcasting
-        setInterval(() => {
-            this.broadcastMetrics();
-        }, 2000); // Broadcast every 2 seconds
+    // With cluster.workers, the primary forks and supervises the workers
+    // instead of listening itself; each worker runs start() again
+    startPrimary() {
+        const supervisor = new Supervisor(nodeCluster, {
+            workers: this.config.cluster.workers,
+            restartDelay: this.config.cluster.restartDelay,
+            maxRestartDelay: this.config.cluster.maxRestartDelay,
+            shutdownTimeout: this.config.shutdown.timeout
+        });
+        supervisor.start();
+        if (this.config.handleSignals) {
+            supervisor.handleSignals();
+        }
+        logger.info('Primary started workers (SIGHUP for a rolling restart)', {
+            pid: process.pid,
+            workers: supervisor.size,
+            port: this.port
+        });
+        return supervisor;
+    }
+
+    // Start server from the command line: listen, print the banner and
+    // exit on startup errors. Resolves with the Supervisor in a cluster primary.
+    async start() {
+        if (this.config.cluster.workers && nodeCluster.isPrimary) {
+            return this.startPrimary();
+        }
 
-        // Handle server errors
-        server.on('error', (error) => {
+        try {
+            await this.listen();
+        } catch (error) {
             if (error.code === 'EADDRINUSE') {
                 console.error(`
 ╔══════════════════════════════════════════╗
@@ -516,16 +937,22 @@ To fix this, you can:
 3. Find and stop the existing server:
    Press Ctrl+C in the terminal running the server
                 `);
-                process.exit(1);
             } else {
-                console.error('Server error:', error);
-                process.exit(1);
+                logger.error('Server error', { error });
             }
-        });
+            process.exit(1);
+        }
 
-        // Start server
-        server.listen(this.port, () => {
-            console.log(`
+        if (isSupervisedWorker()) {
+            this.listenForSupervisor();
+            logger.info('Worker listening', { pid: process.pid, port: this.port });
+            if (this.config.handleSignals) {
+                this.enableSignalHandling();
+            }
+            return;
+        }
+
+        console.log(`
 ╔══════════════════════════════════════════╗
 ║     🚀 Web Server v2.0                  ║
 ║                                          ║
@@ -540,34 +967,38 @@ To fix this, you can:
 ║                                          ║
 ║  Press Ctrl+C to stop                   ║
 ╚══════════════════════════════════════════╝
-            `);
-        });
+        `);
 
-        // Store server instance for graceful shutdown
-        this.httpServer = server;
-        this.wss = wss;
-
-        // Graceful shutdown
-        process.on('SIGINT', () => {
-            console.log('\n\n🛑 Shutting down server gracefully...');
-            // Close WebSocket connections
-            this.clients.forEach((client) => {
-                if (client.readyState === 1) {
-                    client.close();
-                }
-            });
-            wss.close();
-            server.close(() => {
-                console.log('✅ Server closed successfully');
-                process.exit(0);
-            });
-        });
+        if (this.config.handleSignals) {
+            this.enableSignalHandling();
+        }
     }
 }
 
+// Command-line options: --workers N (or --workers auto)
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inline] = args[i].split('=');
+        if (flag !== '--workers') {
+            throw new Error(`Unknown option: ${args[i]} (usage: node src/server.js [--workers N|auto])`);
+        }
+        const value = inline !== undefined ? inline : args[++i];
+        options.cluster = { workers: value === 'auto' ? value : Number(value) };
+    }
+    return options;
+}
+
 // Start server if run directly
 if (require.main === module) {
-    const server = new WebServer();
+    let server;
+    try {
+        server = new WebServer({ handleSignals: true, ...parseArgs(process.argv.slice(2)) });
+    } catch (error) {
+        // Configuration errors are already readable, skip the stack trace
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
     server.start();
 }
 
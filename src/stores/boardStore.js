@@ -0,0 +1,358 @@
+/**
+ * Whiteboard Board Store
+ * Keeps the strokes of every board (the global whiteboard or a room's) so
+ * clients that arrive mid-session can be sent the full canvas.
+ *
+ * A stroke is { id, clientId, userId, color, size, points: [[x, y], ...] }.
+ * Strokes are built from the start/draw/end frames of one client; ids are
+ * assigned per board. Past maxPointsPerBoard the oldest finished strokes
+ * are dropped, and a stroke stops growing at maxPointsPerStroke. Past
+ * maxBoards the room board drawn on least recently is forgotten (the
+ * global whiteboard is always kept).
+ *
+ * Each user can undo their own finished strokes and redo what they undid;
+ * drawing a new stroke forgets the user's redo stack, and clearing the
+ * board forgets everyone's.
+ *
+ * MemoryBoardStore  boards live in memory only
+ * FileBoardStore    finished strokes are appended to a JSONL log (see
+ *                   ./jsonlLog.js) that is replayed on start and rewritten
+ *                   as one snapshot per board every compactAfter entries
+ */
+
+const { JsonlLog } = require('./jsonlLog');
+
+const MAX_REDO_STEPS = 50; // Undone strokes kept per user for redo
+
+// Board key: '' for the global whiteboard, the room name otherwise
+function boardKey(room) {
+    return room === undefined || room === null ? '' : room;
+}
+
+class Board {
+    constructor(room) {
+        this.room = room;
+        this.strokes = [];      // Finished strokes, oldest first
+        this.open = new Map();  // clientId -> stroke being drawn
+        this.undone = new Map(); // userId -> undone strokes, most recent last
+        this.nextId = 1;
+        this.points = 0;        // Points across finished and open strokes
+    }
+
+    // Drop the oldest finished strokes until the board fits
+    evict(maxPoints) {
+        let dropped = 0;
+        while (this.points > maxPoints && this.strokes.length > 0) {
+            const stroke = this.strokes.shift();
+            this.points -= stroke.points.length;
+            dropped++;
+        }
+        return dropped;
+    }
+
+    // Add a finished stroke in drawing order (strokes are sorted by id,
+    // though overlapping strokes can finish out of order)
+    place(stroke) {
+        let index = this.strokes.length;
+        while (index > 0 && this.strokes[index - 1].id > stroke.id) {
+            index--;
+        }
+        this.strokes.splice(index, 0, stroke);
+    }
+
+    // Add a finished stroke that isn't counted yet (log replay, redo)
+    restore(stroke) {
+        this.place(stroke);
+        this.points += stroke.points.length;
+        this.nextId = Math.max(this.nextId, stroke.id + 1);
+    }
+
+    // Take a finished stroke off the board
+    remove(strokeId) {
+        const index = this.strokes.findIndex(stroke => stroke.id === strokeId);
+        if (index === -1) {
+            return null;
+        }
+        const [stroke] = this.strokes.splice(index, 1);
+        this.points -= stroke.points.length;
+        return stroke;
+    }
+
+    // Every stroke in drawing order, including unfinished ones
+    allStrokes() {
+        return this.strokes
+            .concat(Array.from(this.open.values()))
+            .sort((a, b) => a.id - b.id);
+    }
+}
+
+class MemoryBoardStore {
+    constructor({ maxPointsPerBoard = 50000, maxPointsPerStroke = 5000, maxBoards = 1000 } = {}) {
+        this.maxPointsPerBoard = maxPointsPerBoard;
+        this.maxPointsPerStroke = maxPointsPerStroke;
+        this.maxBoards = maxBoards;
+        this.boards = new Map(); // board key -> Board, least recently drawn on first
+    }
+
+    async init() {}
+
+    // Persistence hook for finished strokes and other changes
+    record() {}
+
+    // Board to draw on, created if needed; it becomes the most recently used
+    board(room) {
+        const key = boardKey(room);
+        let board = this.boards.get(key);
+        if (board) {
+            this.boards.delete(key);
+        } else {
+            board = new Board(room === undefined ? null : room);
+            this.evictBoards(this.maxBoards - 1);
+        }
+        this.boards.set(key, board);
+        return board;
+    }
+
+    // Forget the least recently used room boards until at most `limit` remain
+    evictBoards(limit) {
+        for (const key of this.boards.keys()) {
+            if (this.boards.size <= limit) {
+                return;
+            }
+            if (key !== '') {
+                this.boards.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Begin a stroke for a client at (x, y). An unfinished stroke the
+     * client left behind is finished first.
+     */
+    start(room, { clientId, userId, color, size, x, y }) {
+        const board = this.board(room);
+        this.end(room, clientId);
+        board.undone.delete(userId);
+
+        const stroke = {
+            id: board.nextId++,
+            clientId,
+            userId,
+            color,
+            size,
+            points: [[x, y]]
+        };
+        board.open.set(clientId, stroke);
+        board.points++;
+        board.evict(this.maxPointsPerBoard);
+        return stroke;
+    }
+
+    // Add a point to the client's stroke; returns the stroke, or null when
+    // the client has none open
+    extend(room, clientId, x, y) {
+        const board = this.boards.get(boardKey(room));
+        const stroke = board && board.open.get(clientId);
+        if (!stroke) {
+            return null;
+        }
+        if (stroke.points.length < this.maxPointsPerStroke) {
+            stroke.points.push([x, y]);
+            board.points++;
+            board.evict(this.maxPointsPerBoard);
+        }
+        return stroke;
+    }
+
+    // Finish the client's stroke; returns it, or null when none was open
+    end(room, clientId) {
+        const board = this.boards.get(boardKey(room));
+        const stroke = board && board.open.get(clientId);
+        if (!stroke) {
+            return null;
+        }
+        board.open.delete(clientId);
+        board.place(stroke);
+        this.record({ op: 'stroke', room: board.room, stroke });
+        return stroke;
+    }
+
+    // Finish every stroke a client left open (on disconnect)
+    endAll(clientId) {
+        this.boards.forEach((board) => {
+            if (board.open.has(clientId)) {
+                this.end(board.room, clientId);
+            }
+        });
+    }
+
+    /**
+     * Undo one of the user's finished strokes: the given one, or their
+     * latest. Returns the stroke, or null when there is nothing the user
+     * may undo.
+     */
+    undo(room, userId, strokeId = null) {
+        const board = this.boards.get(boardKey(room));
+        if (!board) {
+            return null;
+        }
+        const target = strokeId === null
+            ? board.strokes.filter(stroke => stroke.userId === userId).pop()
+            : board.strokes.find(stroke => stroke.id === strokeId && stroke.userId === userId);
+        if (!target) {
+            return null;
+        }
+
+        board.remove(target.id);
+        const stack = board.undone.get(userId) || [];
+        stack.push(target);
+        if (stack.length > MAX_REDO_STEPS) {
+            stack.shift();
+        }
+        board.undone.set(userId, stack);
+        this.record({ op: 'undo', room: board.room, userId, strokeId: target.id });
+        return target;
+    }
+
+    /**
+     * Redo a stroke the user undid: the given one, or the latest undone.
+     * Returns the stroke, or null when there is nothing to redo.
+     */
+    redo(room, userId, strokeId = null) {
+        const board = this.boards.get(boardKey(room));
+        const stack = board && board.undone.get(userId);
+        if (!stack) {
+            return null;
+        }
+        const index = strokeId === null
+            ? stack.length - 1
+            : stack.findIndex(stroke => stroke.id === strokeId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [stroke] = stack.splice(index, 1);
+        if (stack.length === 0) {
+            board.undone.delete(userId);
+        }
+        board.restore(stroke);
+        board.evict(this.maxPointsPerBoard);
+        this.record({ op: 'redo', room: board.room, userId, strokeId: stroke.id });
+        return stroke;
+    }
+
+    // Wipe a board, including strokes still being drawn and redo stacks
+    clear(room) {
+        const board = this.boards.get(boardKey(room));
+        if (!board) {
+            return;
+        }
+        board.strokes = [];
+        board.open.clear();
+        board.undone.clear();
+        board.points = 0;
+        this.record({ op: 'clear', room: board.room });
+    }
+
+    // Full board for a draw-sync frame
+    snapshot(room) {
+        const board = this.boards.get(boardKey(room));
+        return {
+            room: room === undefined ? null : room,
+            strokes: board ? board.allStrokes() : []
+        };
+    }
+
+    async close() {}
+}
+
+class FileBoardStore extends MemoryBoardStore {
+    constructor({ file, compactAfter = 1000, ...limits } = {}) {
+        super(limits);
+        this.file = file;
+        this.log = new JsonlLog({ file, compactAfter, snapshot: () => this.snapshotEntries() });
+    }
+
+    // Apply one log entry to the in-memory boards
+    replay(entry) {
+        // undo/redo/clear reuse the live methods; nothing is recorded
+        // because init() opens the log only after replaying it
+        switch (entry.op) {
+            case 'board': {
+                const board = this.board(entry.room);
+                entry.strokes.forEach(stroke => board.restore(stroke));
+                Object.entries(entry.undone || {}).forEach(([userId, strokes]) => board.undone.set(userId, strokes));
+                board.nextId = Math.max(board.nextId, entry.nextId || 1);
+                break;
+            }
+            case 'stroke': {
+                const board = this.board(entry.room);
+                board.undone.delete(entry.stroke.userId);
+                board.restore(entry.stroke);
+                break;
+            }
+            case 'undo':
+                this.undo(entry.room, entry.userId, entry.strokeId);
+                break;
+            case 'redo':
+                this.redo(entry.room, entry.userId, entry.strokeId);
+                break;
+            case 'clear':
+                this.clear(entry.room);
+                break;
+        }
+    }
+
+    // Replay the log into memory and open it for appending
+    async init() {
+        // Start over on a second listen() so the log isn't applied twice
+        this.boards.clear();
+        await this.log.open(entry => this.replay(entry));
+        this.boards.forEach(board => board.evict(this.maxPointsPerBoard));
+    }
+
+    record(entry) {
+        this.log.append(entry);
+    }
+
+    /**
+     * The log's contents after compaction: one snapshot entry per board.
+     * Strokes dropped by the size cap and evicted boards disappear here.
+     */
+    snapshotEntries() {
+        const entries = [];
+        this.boards.forEach((board) => {
+            if (board.strokes.length === 0 && board.open.size === 0 && board.undone.size === 0) {
+                return;
+            }
+            entries.push({
+                op: 'board',
+                room: board.room,
+                nextId: board.nextId,
+                strokes: board.strokes,
+                undone: Object.fromEntries(board.undone)
+            });
+        });
+        return entries;
+    }
+
+    async close() {
+        await this.log.close();
+    }
+}
+
+/**
+ * Build the configured store: 'memory' or 'file'
+ */
+function createBoardStore({ store = 'memory', file, ...options }) {
+    if (store === 'file') {
+        return new FileBoardStore({ file, ...options });
+    }
+    return new MemoryBoardStore(options);
+}
+
+module.exports = {
+    createBoardStore,
+    MemoryBoardStore,
+    FileBoardStore
+};
@@ -0,0 +1,148 @@
+/**
+ * JSONL Log
+ * Append-only log of JSON records, one per line, shared by the file-backed
+ * stores. On start the file is replayed record by record; every
+ * compactAfter appends it is rewritten from the store's snapshot() so it
+ * holds only what the store still keeps, and replays stay short.
+ *
+ * Compaction writes a temp file and renames it over the log without
+ * blocking the event loop, one rewrite at a time. Records appended while
+ * it runs are copied into the new file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { logger } = require('../utils/logger');
+
+/**
+ * Call onRecord with each record of a JSONL file, oldest first. Blank lines
+ * are skipped; malformed lines (or records onRecord throws on) are logged
+ * and skipped. Resolves with the number of records applied.
+ */
+async function replayJsonl(file, onRecord) {
+    if (!fs.existsSync(file)) {
+        return 0;
+    }
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+    let lineNumber = 0;
+    let records = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') {
+            continue;
+        }
+        try {
+            onRecord(JSON.parse(line));
+            records++;
+        } catch (error) {
+            // A torn last line after a crash shouldn't lose the rest of the file
+            logger.warn('Skipping malformed log line', { file, line: lineNumber, error: error.message });
+        }
+    }
+    return records;
+}
+
+class JsonlLog {
+    // snapshot: () => records that replace the log's contents when it is compacted
+    constructor({ file, compactAfter = 1000, snapshot }) {
+        this.file = file;
+        this.compactAfter = compactAfter;
+        this.snapshot = snapshot;
+        this.stream = null;
+        this.appended = 0;      // Records in the file that aren't part of the last snapshot
+        this.compacting = null; // Running compaction
+        this.pending = null;    // Lines appended while compacting, copied to the new file
+    }
+
+    // Replay the file through onRecord, then open it for appending
+    async open(onRecord) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const replayed = await replayJsonl(this.file, onRecord);
+        this.appended = Math.max(0, replayed - this.snapshot().length);
+        this.openStream();
+        if (this.appended > this.compactAfter) {
+            this.compact();
+        }
+    }
+
+    openStream() {
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            logger.error('Log write error', { file: this.file, error });
+        });
+    }
+
+    append(record) {
+        if (!this.stream) {
+            return;
+        }
+        const line = JSON.stringify(record) + '\n';
+        this.stream.write(line);
+        if (this.pending) {
+            this.pending.push(line);
+        }
+        this.appended++;
+        if (this.appended > this.compactAfter) {
+            this.compact();
+        }
+    }
+
+    // Start a compaction unless one is running; resolves when it is done
+    compact() {
+        if (!this.compacting) {
+            this.compacting = this.rewrite().finally(() => {
+                this.compacting = null;
+                // A burst of appends during the rewrite gets its own
+                if (this.stream && this.appended > this.compactAfter) {
+                    this.compact();
+                }
+            });
+        }
+        return this.compacting;
+    }
+
+    async rewrite() {
+        const lines = this.snapshot().map(record => JSON.stringify(record));
+        // Records appended from here on aren't in the snapshot
+        this.pending = [];
+        this.appended = 0;
+        const tempFile = `${this.file}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            await fs.promises.rename(tempFile, this.file);
+        } catch (error) {
+            logger.error('Log compaction failed', { file: this.file, error });
+            this.pending = null;
+            return;
+        }
+
+        // Anything still buffered for the old file is in the snapshot or pending
+        const pending = this.pending;
+        this.pending = null;
+        const previous = this.stream;
+        this.openStream();
+        pending.forEach(line => this.stream.write(line));
+        previous.end();
+    }
+
+    async close() {
+        while (this.compacting) {
+            await this.compacting;
+        }
+        if (!this.stream) {
+            return;
+        }
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise(resolve => stream.end(resolve));
+    }
+}
+
+module.exports = {
+    JsonlLog,
+    replayJsonl
+};
@@ -0,0 +1,233 @@
+/**
+ * Chat Message Store
+ * Keeps chat history per conversation (global chat or a room) and assigns
+ * each message a server id. Ids increase monotonically and double as
+ * cursors for paging with before/after. Cluster workers interleave their
+ * ids: with idSlots slots, a store only hands out ids equal to its idSlot
+ * modulo idSlots, so two workers never assign the same id.
+ *
+ * Backends share one interface, so anything implementing it can be plugged in:
+ *   init()                        load persisted state (called by listen())
+ *   append(message) -> message    store a message, returns it with its id
+ *   query({ room, before, after, limit }) -> { messages, hasMore }
+ *   close()                       flush and release resources
+ *
+ * MemoryMessageStore  ring buffer of the latest `capacity` messages per conversation,
+ *                     for up to `maxConversations` conversations (the global chat is never dropped)
+ * FileMessageStore    the same, plus a JSONL file (see ./jsonlLog.js) reloaded on
+ *                     start and rewritten with only the kept messages every
+ *                     compactAfter appends
+ */
+
+const { JsonlLog } = require('./jsonlLog');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Fixed-size buffer that overwrites its oldest entry when full
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Oldest to newest
+    toArray() {
+        const result = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            result[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return result;
+    }
+}
+
+// Conversation key: null for the global chat, the room name otherwise
+function conversationKey(room) {
+    return room === undefined || room === null ? '' : `room/${room}`;
+}
+
+class MemoryMessageStore {
+    constructor({ capacity = 500, maxConversations = 1000, idSlot = 0, idSlots = 1 } = {}) {
+        this.capacity = capacity;
+        this.maxConversations = maxConversations;
+        this.idSlot = idSlot;
+        this.idSlots = idSlots;
+        this.conversations = new Map(); // conversation key -> RingBuffer, least recently written to first
+        this.lastId = 0;
+    }
+
+    async init() {}
+
+    // Record a message in the in-memory index (no id assignment); its
+    // conversation becomes the most recently used
+    index(message) {
+        const key = conversationKey(message.room);
+        let buffer = this.conversations.get(key);
+        if (buffer) {
+            this.conversations.delete(key);
+        } else {
+            buffer = new RingBuffer(this.capacity);
+            this.evictConversations(this.maxConversations - 1);
+        }
+        this.conversations.set(key, buffer);
+        buffer.push(message);
+        this.lastId = Math.max(this.lastId, message.id);
+    }
+
+    // Next id past lastId in this store's slot
+    nextId() {
+        return (Math.floor(this.lastId / this.idSlots) + 1) * this.idSlots + this.idSlot;
+    }
+
+    // Forget the least recently used room conversations until at most `limit` remain
+    evictConversations(limit) {
+        for (const key of this.conversations.keys()) {
+            if (this.conversations.size <= limit) {
+                return;
+            }
+            if (key !== '') {
+                this.conversations.delete(key);
+            }
+        }
+    }
+
+    async append(message) {
+        const stored = { ...message, id: this.nextId() };
+        this.index(stored);
+        return stored;
+    }
+
+    /**
+     * Page through a conversation, oldest first. With `before`, returns the
+     * newest `limit` messages older than that id; with `after`, the oldest
+     * `limit` messages newer than it; with neither, the latest `limit`.
+     */
+    async query({ room = null, before = null, after = null, limit = 50 } = {}) {
+        const buffer = this.conversations.get(conversationKey(room));
+        if (!buffer) {
+            return { messages: [], hasMore: false };
+        }
+
+        let messages = buffer.toArray();
+        if (before !== null) {
+            messages = messages.filter(message => message.id < before);
+        }
+        if (after !== null) {
+            messages = messages.filter(message => message.id > after);
+            return {
+                messages: messages.slice(0, limit),
+                hasMore: messages.length > limit
+            };
+        }
+        return {
+            messages: messages.slice(-limit),
+            hasMore: messages.length > limit
+        };
+    }
+
+    async close() {}
+}
+
+class FileMessageStore extends MemoryMessageStore {
+    constructor({ file, compactAfter = 1000, ...options } = {}) {
+        super(options);
+        this.file = file;
+        this.log = new JsonlLog({ file, compactAfter, snapshot: () => this.snapshot() });
+    }
+
+    // Replay the JSONL file into memory and open it for appending
+    async init() {
+        // Start over on a second listen() so the file isn't indexed twice
+        this.conversations.clear();
+        this.lastId = 0;
+        await this.log.open(message => this.index(message));
+    }
+
+    // Every message still kept, oldest first: the file's contents after compaction
+    snapshot() {
+        const messages = [];
+        this.conversations.forEach(buffer => messages.push(...buffer.toArray()));
+        return messages.sort((a, b) => a.id - b.id);
+    }
+
+    async append(message) {
+        const stored = await super.append(message);
+        this.log.append(stored);
+        return stored;
+    }
+
+    async close() {
+        await this.log.close();
+    }
+}
+
+/**
+ * Validate history paging parameters from a WebSocket frame or query
+ * string. Cursors are message ids; limit defaults to and is capped at
+ * maxLimit. Throws a 400 error on invalid input.
+ */
+function parseHistoryQuery({ room, before, after, limit } = {}, maxLimit) {
+    const toId = (value, name) => {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const id = Number(value);
+        if (!Number.isInteger(id) || id < 0) {
+            throw httpError(400, `"${name}" must be a message id`);
+        }
+        return id;
+    };
+
+    const query = {
+        room: room === undefined || room === '' ? null : room,
+        before: toId(before, 'before'),
+        after: toId(after, 'after'),
+        limit: maxLimit
+    };
+    if (query.before !== null && query.after !== null) {
+        throw httpError(400, 'Use either "before" or "after", not both');
+    }
+    if (limit !== undefined && limit !== null && limit !== '') {
+        const value = Number(limit);
+        if (!Number.isInteger(value) || value < 1) {
+            throw httpError(400, '"limit" must be a positive integer');
+        }
+        query.limit = Math.min(value, maxLimit);
+    }
+    return query;
+}
+
+/**
+ * Build the configured store. `store` is 'memory', 'file' or an object
+ * implementing the store interface.
+ */
+function createMessageStore({ store = 'memory', file, compactAfter, capacity, maxConversations, idSlot, idSlots }) {
+    if (store && typeof store === 'object') {
+        return store;
+    }
+    const options = { capacity, maxConversations, idSlot, idSlots };
+    if (store === 'file') {
+        return new FileMessageStore({ file, compactAfter, ...options });
+    }
+    return new MemoryMessageStore(options);
+}
+
+module.exports = {
+    createMessageStore,
+    parseHistoryQuery,
+    MemoryMessageStore,
+    FileMessageStore,
+    RingBuffer
+};
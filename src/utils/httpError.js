@@ -0,0 +1,16 @@
+/**
+ * HTTP Errors
+ * Errors that carry the response status for the central error handler
+ * (WebServer.handleError), plus any extra fields it reads, e.g.
+ *
+ *   throw httpError(429, 'Too many requests', { retryAfter: 3 });
+ */
+
+function httpError(status, message, fields = {}) {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, fields);
+    return error;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,152 @@
+/**
+ * Logger
+ * Structured logging: each entry is one JSON line with time, level, msg
+ * and context fields, e.g.
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Request completed","requestId":"...","status":200}
+ *
+ * or a readable line in the "pretty" format (the default in development).
+ * child(fields) returns a logger that adds fields to every entry - a
+ * request's requestId, or a WebSocket connection's clientId. Children
+ * share the root's settings, so configure() applies to them too.
+ *
+ * Error values in fields are written as { name, message, code, stack }.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const COLORS = { debug: '\x1b[90m', info: '\x1b[36m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+// 'auto' -> pretty in development, JSON anywhere else
+function resolveFormat(format, env) {
+    if (format === 'auto') {
+        return env === 'development' ? 'pretty' : 'json';
+    }
+    return format;
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) {
+        serialized.code = error.code;
+    }
+    if (error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+function serializeFields(fields) {
+    const serialized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+            serialized[key] = value instanceof Error ? serializeError(value) : value;
+        }
+    });
+    return serialized;
+}
+
+function prettyValue(value) {
+    if (typeof value === 'string') {
+        return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+    }
+    return JSON.stringify(value);
+}
+
+// 12:00:00.000 INFO  Request completed requestId=... status=200
+function formatPretty(entry, color) {
+    const { time, level, msg, ...fields } = entry;
+    const stacks = [];
+    const pairs = Object.entries(fields).map(([key, value]) => {
+        if (value && typeof value === 'object' && value.stack) {
+            stacks.push(value.stack);
+            return `${key}=${prettyValue(value.message)}`;
+        }
+        return `${key}=${prettyValue(value)}`;
+    });
+    const label = level.toUpperCase().padEnd(5);
+    const line = [
+        time.slice(11, 23),
+        color ? `${COLORS[level]}${label}${RESET}` : label,
+        msg,
+        ...pairs
+    ].join(' ');
+    return [line, ...stacks].join('\n');
+}
+
+class Logger {
+    constructor(settings, fields = {}) {
+        this.settings = settings; // Shared with children
+        this.fields = fields;
+    }
+
+    /**
+     * Change the shared settings: level ('debug', 'info', 'warn', 'error',
+     * 'silent'), format ('json', 'pretty', 'auto'), env (for 'auto') and
+     * stream (defaults to stdout)
+     */
+    configure(options = {}) {
+        Object.assign(this.settings, options);
+        if (!Object.prototype.hasOwnProperty.call(LEVELS, this.settings.level)) {
+            throw new Error(`Unknown log level "${this.settings.level}"`);
+        }
+        return this;
+    }
+
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...serializeFields(this.fields),
+            ...serializeFields(fields)
+        };
+        const stream = this.settings.stream || process.stdout;
+        const line = resolveFormat(this.settings.format, this.settings.env) === 'pretty'
+            ? formatPretty(entry, Boolean(stream.isTTY))
+            : JSON.stringify(entry);
+        stream.write(line + '\n');
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// Shared root logger; WebServer configures it from config.logging
+const logger = new Logger({
+    level: 'info',
+    format: 'auto',
+    env: process.env.NODE_ENV || 'production',
+    stream: null
+});
+
+module.exports = {
+    logger,
+    Logger,
+    LEVELS
+};
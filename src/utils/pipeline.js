@@ -0,0 +1,46 @@
+/**
+ * Middleware Pipeline
+ * Runs Express-style (req, res, next) functions in order with an async next()
+ */
+
+/**
+ * Compose a stack of middleware into a single (req, res, next) function.
+ * Calling next() runs the following function and returns a promise that
+ * settles once the rest of the chain has run. Calling next(err), throwing or
+ * rejecting skips the remaining functions and hands the error to `out`.
+ */
+function compose(stack) {
+    for (const fn of stack) {
+        if (typeof fn !== 'function') {
+            throw new Error('Middleware must be a function');
+        }
+    }
+
+    return function composed(req, res, out = () => {}) {
+        let index = -1;
+
+        function dispatch(i, error) {
+            if (error) {
+                return Promise.resolve().then(() => out(error));
+            }
+            if (i <= index) {
+                return dispatch(i, new Error('next() called multiple times'));
+            }
+            index = i;
+
+            const fn = stack[i];
+            if (!fn) {
+                // End of the stack - let the caller decide what happens next
+                return Promise.resolve().then(() => out());
+            }
+
+            return Promise.resolve()
+                .then(() => fn(req, res, (err) => dispatch(i + 1, err)))
+                .catch(err => out(err));
+        }
+
+        return dispatch(0);
+    };
+}
+
+module.exports = { compose };
@@ -0,0 +1,81 @@
+/**
+ * Token Bucket Rate Limiter
+ * Each key (client id, IP, user) gets a bucket holding up to `capacity`
+ * tokens that refills at `refillPerSecond`. A request takes one token and
+ * is refused when the bucket is empty.
+ */
+
+const MAX_BUCKETS = 10000; // Default cap; the least recently used bucket is evicted past it
+
+class RateLimiter {
+    constructor({ capacity, refillPerSecond, maxBuckets = MAX_BUCKETS }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.maxBuckets = maxBuckets;
+        this.buckets = new Map(); // key -> { tokens, updatedAt }, least recently used first
+    }
+
+    // Tokens in a bucket after refilling it up to now
+    refill(bucket, now) {
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+        bucket.updatedAt = now;
+        return bucket.tokens;
+    }
+
+    /**
+     * Take `cost` tokens for a key.
+     * Returns { allowed, remaining, retryAfter } - retryAfter in ms, 0 when allowed.
+     */
+    take(key, cost = 1, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        if (bucket) {
+            // Move to the most recently used end
+            this.buckets.delete(key);
+        } else {
+            if (this.buckets.size >= this.maxBuckets) {
+                this.buckets.delete(this.buckets.keys().next().value);
+            }
+            bucket = { tokens: this.capacity, updatedAt: now };
+        }
+        this.buckets.set(key, bucket);
+
+        const tokens = this.refill(bucket, now);
+        if (tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+        }
+
+        const retryAfter = this.refillPerSecond > 0
+            ? Math.ceil(((cost - tokens) / this.refillPerSecond) * 1000)
+            : Infinity;
+        return { allowed: false, remaining: 0, retryAfter };
+    }
+}
+
+/**
+ * Client IP for a request. X-Forwarded-For is client-controlled, so it is
+ * only read with trustProxy set:
+ *   false   the socket address (default)
+ *   true    the first X-Forwarded-For entry
+ *   N       the address N hops back, for N trusted proxies in front
+ */
+function getClientIp(req, trustProxy = false) {
+    const remote = req.socket.remoteAddress;
+    const forwarded = req.headers['x-forwarded-for'];
+    if (!trustProxy || !forwarded) {
+        return remote;
+    }
+    const chain = String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (trustProxy === true) {
+        return chain[0] || remote;
+    }
+    // Each trusted proxy appended the address it received the request from
+    chain.push(remote);
+    return chain[Math.max(0, chain.length - 1 - trustProxy)];
+}
+
+module.exports = {
+    RateLimiter,
+    getClientIp
+};
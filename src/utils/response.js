@@ -0,0 +1,142 @@
+/**
+ * Response Helpers
+ * Adds Express-style helpers to http.ServerResponse so handlers don't
+ * hand-build status lines, headers and JSON bodies
+ */
+
+const { serveStatic } = require('./staticHandler');
+
+// RFC 6265 cookie-name token
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Serialize a Set-Cookie header value
+ */
+function serializeCookie(name, value, options = {}) {
+    if (!COOKIE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid cookie name: ${name}`);
+    }
+
+    const parts = [`${name}=${encodeURIComponent(value)}`];
+
+    // maxAge is in milliseconds, like Express
+    if (options.maxAge !== undefined) {
+        const maxAge = Math.floor(options.maxAge / 1000);
+        parts.push(`Max-Age=${maxAge}`);
+        parts.push(`Expires=${new Date(Date.now() + maxAge * 1000).toUTCString()}`);
+    } else if (options.expires) {
+        parts.push(`Expires=${options.expires.toUTCString()}`);
+    }
+    if (options.domain) {
+        parts.push(`Domain=${options.domain}`);
+    }
+    parts.push(`Path=${options.path || '/'}`);
+    if (options.httpOnly) {
+        parts.push('HttpOnly');
+    }
+    if (options.secure) {
+        parts.push('Secure');
+    }
+    if (options.sameSite) {
+        const sameSite = options.sameSite === true ? 'Strict' : options.sameSite;
+        parts.push(`SameSite=${sameSite.charAt(0).toUpperCase()}${sameSite.slice(1).toLowerCase()}`);
+    }
+
+    return parts.join('; ');
+}
+
+/**
+ * Attach helpers to a response
+ */
+function extendResponse(req, res) {
+    // Set the status code (chainable)
+    res.status = function (code) {
+        this.statusCode = code;
+        return this;
+    };
+
+    // Set one header, or several from an object (chainable)
+    res.set = function (field, value) {
+        if (typeof field === 'object') {
+            for (const [name, headerValue] of Object.entries(field)) {
+                this.setHeader(name, headerValue);
+            }
+        } else {
+            this.setHeader(field, value);
+        }
+        return this;
+    };
+
+    // Send a string, Buffer or object; picks a Content-Type when none is set
+    res.send = function (body) {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+            return this.json(body);
+        }
+
+        // No body allowed for these statuses
+        if (this.statusCode === 204 || this.statusCode === 304) {
+            this.removeHeader('Content-Type');
+            this.removeHeader('Content-Length');
+            this.end();
+            return this;
+        }
+
+        let chunk = body === undefined || body === null ? '' : body;
+        if (typeof chunk === 'number' || typeof chunk === 'boolean') {
+            chunk = String(chunk);
+        }
+
+        if (!this.hasHeader('Content-Type')) {
+            this.setHeader('Content-Type', Buffer.isBuffer(chunk)
+                ? 'application/octet-stream'
+                : 'text/html; charset=utf-8');
+        }
+        this.setHeader('Content-Length', Buffer.byteLength(chunk));
+        this.end(chunk);
+        return this;
+    };
+
+    // Send a JSON body
+    res.json = function (body) {
+        if (!this.hasHeader('Content-Type')) {
+            this.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        return this.send(JSON.stringify(body));
+    };
+
+    // Redirect: res.redirect(url) or res.redirect(status, url), 302 by default
+    res.redirect = function (status, location) {
+        if (location === undefined) {
+            location = status;
+            status = 302;
+        }
+        this.statusCode = status;
+        this.setHeader('Location', location);
+        this.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return this.send(`Redirecting to ${location}`);
+    };
+
+    // Serve a file through the static handler (public/ unless options.root is set)
+    res.sendFile = function (filePath, options = {}) {
+        return serveStatic(req, this, filePath, options);
+    };
+
+    // Append a Set-Cookie header
+    res.cookie = function (name, value, options = {}) {
+        const cookie = serializeCookie(name, String(value), options);
+        const existing = this.getHeader('Set-Cookie');
+        if (!existing) {
+            this.setHeader('Set-Cookie', cookie);
+        } else {
+            this.setHeader('Set-Cookie', [].concat(existing, cookie));
+        }
+        return this;
+    };
+
+    return res;
+}
+
+module.exports = {
+    extendResponse,
+    serializeCookie
+};
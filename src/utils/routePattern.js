@@ -0,0 +1,138 @@
+/**
+ * Route Patterns
+ * Parses route paths into typed segments
+ *
+ * Supported syntax (one token per path segment):
+ *   /users/me            static segment
+ *   /users/:id           named parameter
+ *   /users/:id?          optional parameter
+ *   /users/:id(\d+)      parameter with a regex constraint
+ *   /uploads/*path       named wildcard (rest of the path, may contain "/")
+ *   *                    catch-all, captured as params['*']
+ */
+
+const { httpError } = require('./httpError');
+
+const PARAM_PATTERN = /^:(\w+)(?:\((.+)\))?(\?)?$/;
+const WILDCARD_PATTERN = /^\*(\w*)$/;
+
+/**
+ * Split a route path into typed segments
+ */
+function parseRoute(route) {
+    if (typeof route !== 'string' || route.length === 0) {
+        throw new Error('Route path must be a non-empty string');
+    }
+
+    const parts = route.replace(/^\/+/, '').split('/');
+    const segments = [];
+
+    parts.forEach((part, index) => {
+        // Root path ("/") has no segments
+        if (part === '' && parts.length === 1) {
+            return;
+        }
+
+        const wildcard = part.match(WILDCARD_PATTERN);
+        if (wildcard) {
+            if (index !== parts.length - 1) {
+                throw new Error(`Wildcard must be the last segment in route "${route}"`);
+            }
+            segments.push({ type: 'wildcard', name: wildcard[1] || '*' });
+            return;
+        }
+
+        const param = part.match(PARAM_PATTERN);
+        if (param) {
+            let constraint = null;
+            if (param[2]) {
+                try {
+                    constraint = new RegExp(`^(?:${param[2]})$`);
+                } catch (error) {
+                    throw new Error(`Invalid constraint for ":${param[1]}" in route "${route}": ${error.message}`);
+                }
+            }
+            segments.push({
+                type: 'param',
+                name: param[1],
+                optional: Boolean(param[3]),
+                constraint
+            });
+            return;
+        }
+
+        if (part.includes(':') || part.includes('*')) {
+            throw new Error(`Invalid segment "${part}" in route "${route}"`);
+        }
+        segments.push({ type: 'static', value: part });
+    });
+
+    return segments;
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile parsed segments into a standalone regex matcher:
+ * match(pathname) -> params | null. The router uses RouteTree instead;
+ * this is kept for one-off matching and the router benchmark.
+ */
+function compileRoute(segments) {
+    const keys = [];
+    let source = '';
+
+    for (const segment of segments) {
+        if (segment.type === 'static') {
+            source += '/' + escapeRegex(segment.value);
+        } else if (segment.type === 'param') {
+            const group = '/([^/]+)';
+            source += segment.optional ? `(?:${group})?` : group;
+            keys.push(segment);
+        } else {
+            source += '/(.*)';
+            keys.push(segment);
+        }
+    }
+
+    const regex = new RegExp(`^${source || '/'}/?$`);
+
+    return function match(pathname) {
+        const result = regex.exec(pathname);
+        if (!result) {
+            return null;
+        }
+
+        const params = {};
+        for (let i = 0; i < keys.length; i++) {
+            const raw = result[i + 1];
+            if (raw === undefined) {
+                continue;
+            }
+            const value = decodeParam(raw);
+            if (keys[i].constraint && !keys[i].constraint.test(value)) {
+                return null;
+            }
+            params[keys[i].name] = value;
+        }
+        return params;
+    };
+}
+
+/**
+ * Decode a captured path value, rejecting malformed escapes with a 400
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw httpError(400, `Failed to decode path parameter "${value}"`);
+    }
+}
+
+module.exports = {
+    parseRoute,
+    compileRoute,
+    decodeParam
+};
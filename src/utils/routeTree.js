@@ -0,0 +1,130 @@
+/**
+ * Route Tree
+ * Prefix tree keyed by path segment, built once at registration time.
+ * Lookup walks one node per segment instead of testing every route, and
+ * tries children in specificity order: static, constrained param, param,
+ * wildcard - backtracking when a branch dead-ends.
+ */
+
+const { decodeParam } = require('./routePattern');
+
+class RouteNode {
+    constructor() {
+        this.children = new Map(); // static segment -> RouteNode
+        this.params = [];          // { name, constraint, node }, constrained first
+        this.wildcard = null;      // { name, route }
+        this.route = null;         // route ending at this node
+    }
+}
+
+class RouteTree {
+    constructor() {
+        this.root = new RouteNode();
+    }
+
+    // Add a route from parsed segments (see routePattern.parseRoute)
+    insert(segments, route) {
+        this.insertAt(this.root, segments, 0, route);
+    }
+
+    insertAt(node, segments, index, route) {
+        if (index === segments.length) {
+            node.route = route;
+            return;
+        }
+
+        const segment = segments[index];
+
+        if (segment.type === 'static') {
+            if (!node.children.has(segment.value)) {
+                node.children.set(segment.value, new RouteNode());
+            }
+            this.insertAt(node.children.get(segment.value), segments, index + 1, route);
+            return;
+        }
+
+        if (segment.type === 'wildcard') {
+            node.wildcard = { name: segment.name, route };
+            return;
+        }
+
+        // Optional params register both with and without the segment
+        if (segment.optional) {
+            this.insertAt(node, segments, index + 1, route);
+        }
+
+        const source = segment.constraint ? segment.constraint.source : null;
+        let param = node.params.find(p => {
+            return p.name === segment.name && (p.constraint ? p.constraint.source : null) === source;
+        });
+        if (!param) {
+            param = { name: segment.name, constraint: segment.constraint, node: new RouteNode() };
+            node.params.push(param);
+            // Stable sort keeps registration order among equally specific params
+            node.params.sort((a, b) => (b.constraint ? 1 : 0) - (a.constraint ? 1 : 0));
+        }
+        this.insertAt(param.node, segments, index + 1, route);
+    }
+
+    // Find the route for a pathname: { route, params } or null.
+    // With ignoreCatchAll the bare "*" route never matches.
+    lookup(pathname, { ignoreCatchAll = false } = {}) {
+        const trailingSlash = pathname.length > 1 && pathname.endsWith('/');
+        const trimmed = pathname.replace(/^\/+/, '').replace(/\/$/, '');
+        const parts = trimmed === '' ? [] : trimmed.split('/');
+        const params = {};
+
+        const route = this.matchNode(this.root, parts, 0, params, { trailingSlash, ignoreCatchAll });
+        return route ? { route, params } : null;
+    }
+
+    matchNode(node, parts, index, params, options) {
+        if (index === parts.length) {
+            if (node.route) {
+                return node.route;
+            }
+        } else {
+            const part = parts[index];
+
+            const child = node.children.get(part);
+            if (child) {
+                const found = this.matchNode(child, parts, index + 1, params, options);
+                if (found) {
+                    return found;
+                }
+            }
+
+            if (part !== '' && node.params.length > 0) {
+                const value = decodeParam(part);
+                for (const param of node.params) {
+                    if (param.constraint && !param.constraint.test(value)) {
+                        continue;
+                    }
+                    const found = this.matchNode(param.node, parts, index + 1, params, options);
+                    if (found) {
+                        params[param.name] = value;
+                        return found;
+                    }
+                }
+            }
+        }
+
+        // A wildcard needs a "/" after its prefix, so /uploads/*path skips /uploads
+        const { wildcard } = node;
+        if (wildcard && (index < parts.length || index === 0 || options.trailingSlash)) {
+            if (options.ignoreCatchAll && node === this.root && wildcard.name === '*') {
+                return null;
+            }
+            let rest = parts.slice(index).join('/');
+            if (options.trailingSlash && index < parts.length) {
+                rest += '/';
+            }
+            params[wildcard.name] = decodeParam(rest);
+            return wildcard.route;
+        }
+
+        return null;
+    }
+}
+
+module.exports = RouteTree;
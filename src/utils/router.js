@@ -1,3 +1,8 @@
+const { compose } = require('./pipeline');
+const RouteTree = require('./routeTree');
+const { parseRoute } = require('./routePattern');
+const { httpError } = require('./httpError');
+
 class Router {
     constructor() {
         this.routes = {
@@ -7,95 +12,206 @@ class Router {
             DELETE: new Map(),
             PATCH: new Map()
         };
+        this.trees = {};
+        for (const method of Object.keys(this.routes)) {
+            this.trees[method] = new RouteTree();
+        }
+        this.middleware = []; // { prefix, handler, router? } in registration order
     }
 
-    // Register GET route
-    get(path, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
+    // Register middleware for every request, or for a path prefix.
+    // A Router passed here is mounted: it sees paths relative to the prefix.
+    use(prefix, ...handlers) {
+        if (typeof prefix !== 'string') {
+            handlers.unshift(prefix);
+            prefix = '/';
+        }
+        if (!prefix.startsWith('/') || prefix.includes(':') || prefix.includes('*')) {
+            throw new Error(`Middleware prefix must be a static path starting with "/", got "${prefix}"`);
         }
-        this.routes.GET.set(path, handler);
+
+        const normalizedPrefix = prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix;
+        handlers.forEach(handler => {
+            if (handler instanceof Router) {
+                if (handler === this) {
+                    throw new Error('A router cannot be mounted on itself');
+                }
+                this.middleware.push({
+                    prefix: normalizedPrefix,
+                    handler: this.scope(normalizedPrefix, handler.handle.bind(handler)),
+                    router: handler
+                });
+                return;
+            }
+            if (typeof handler !== 'function') {
+                throw new Error('Middleware must be a function or a Router');
+            }
+            this.middleware.push({ prefix: normalizedPrefix, handler: this.scope(normalizedPrefix, handler) });
+        });
+        return this;
     }
 
-    // Register POST route
-    post(path, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
+    // Run a handler with req.baseUrl/req.path adjusted for its mount prefix,
+    // restoring them (and req.params) when it hands control back via next()
+    scope(prefix, handler) {
+        if (prefix === '/') {
+            return handler;
         }
-        this.routes.POST.set(path, handler);
+        return (req, res, next) => {
+            const { baseUrl, path, params } = req;
+            req.baseUrl = baseUrl + prefix;
+            req.path = path.slice(prefix.length) || '/';
+            return handler(req, res, (error) => {
+                req.baseUrl = baseUrl;
+                req.path = path;
+                req.params = params;
+                return next(error);
+            });
+        };
     }
 
-    // Register PUT route
-    put(path, handler) {
-        if (typeof handler !== 'function') {
+    // Register a route with one or more handlers (middleware first, handler last)
+    addRoute(method, path, handlers) {
+        if (handlers.length === 0 || handlers.some(handler => typeof handler !== 'function')) {
             throw new Error('Handler must be a function');
         }
-        this.routes.PUT.set(path, handler);
+        const route = { path, handler: compose(handlers) };
+        this.trees[method].insert(parseRoute(path), route);
+        this.routes[method].set(path, route);
+        return this;
+    }
+
+    // Register GET route
+    get(path, ...handlers) {
+        return this.addRoute('GET', path, handlers);
+    }
+
+    // Register POST route
+    post(path, ...handlers) {
+        return this.addRoute('POST', path, handlers);
+    }
+
+    // Register PUT route
+    put(path, ...handlers) {
+        return this.addRoute('PUT', path, handlers);
     }
 
     // Register DELETE route
-    delete(path, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
-        }
-        this.routes.DELETE.set(path, handler);
+    delete(path, ...handlers) {
+        return this.addRoute('DELETE', path, handlers);
     }
 
     // Register PATCH route
-    patch(path, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
-        }
-        this.routes.PATCH.set(path, handler);
+    patch(path, ...handlers) {
+        return this.addRoute('PATCH', path, handlers);
     }
 
-    // Find route handler
+    // Find route handler and its params: { handler, params, path } or null
     find(method, pathname) {
-        const methodRoutes = this.routes[method];
-        
-        if (!methodRoutes) {
+        // HEAD is answered by GET routes (Node drops the body)
+        const tree = this.trees[method === 'HEAD' ? 'GET' : method];
+        if (!tree) {
             return null;
         }
 
-        // First try exact match
-        if (methodRoutes.has(pathname)) {
-            return methodRoutes.get(pathname);
-        }
-
-        // Then try wildcard match (*)
-        if (methodRoutes.has('*')) {
-            return methodRoutes.get('*');
+        const match = tree.lookup(pathname);
+        if (!match) {
+            return null;
         }
+        return { handler: match.route.handler, params: match.params, path: match.route.path };
+    }
 
-        // Check for dynamic routes (e.g., /users/:id)
-        for (const [route, handler] of methodRoutes.entries()) {
-            if (route.includes(':')) {
-                const routePattern = this.createRoutePattern(route);
-                if (routePattern.test(pathname)) {
-                    return handler;
+    // Methods that have a route for this path (the bare "*" catch-all doesn't count)
+    allowedMethods(pathname) {
+        const allowed = [];
+        for (const [method, tree] of Object.entries(this.trees)) {
+            if (tree.lookup(pathname, { ignoreCatchAll: true })) {
+                allowed.push(method);
+                if (method === 'GET') {
+                    allowed.push('HEAD');
                 }
             }
         }
+        return allowed;
+    }
 
-        return null;
+    // Check whether a middleware prefix applies to a path
+    matchesPrefix(prefix, pathname) {
+        if (prefix === '/') {
+            return true;
+        }
+        return pathname === prefix || pathname.startsWith(prefix + '/');
     }
 
-    // Create regex pattern for dynamic routes
-    createRoutePattern(route) {
-        const pattern = route
-            .replace(/\//g, '\\/')
-            .replace(/:\w+/g, '([^/]+)');
-        return new RegExp(`^${pattern}$`);
+    // Run matching middleware, then the route handler.
+    // `done(err)` is called on errors or when nothing ends the response.
+    handle(req, res, done) {
+        // Top-level router: start from the full pathname
+        if (req.path === undefined) {
+            req.baseUrl = '';
+            req.path = req.parsedUrl.pathname;
+        }
+
+        const pathname = req.path;
+        const stack = this.middleware
+            .filter(layer => this.matchesPrefix(layer.prefix, pathname))
+            .map(layer => layer.handler);
+        // Route lookup runs last, so middleware (CORS, auth, rate limits) sees
+        // every request - including ones whose path fails to decode
+        stack.push((req, res, next) => this.dispatch(req, res, next, pathname));
+
+        return compose(stack)(req, res, done);
     }
 
-    // Get all routes for debugging
+    // Run the route matching a path, answer 405 if only other methods match,
+    // or call next() to fall through
+    dispatch(req, res, next, pathname) {
+        const match = this.find(req.method, pathname);
+        if (match) {
+            req.params = match.params;
+            // Full route pattern (including mount prefixes), e.g. for metrics labels
+            req.routePath = this.joinPaths(req.baseUrl || '/', match.path);
+            return match.handler(req, res, next);
+        }
+
+        req.params = {};
+        const allowed = this.allowedMethods(pathname);
+        if (allowed.length > 0) {
+            // Path exists under another method
+            res.setHeader('Allow', allowed.join(', '));
+            return next(httpError(405, `Method ${req.method} not allowed`));
+        }
+        return next();
+    }
+
+    // Get all routes for debugging, with mounted routers' paths fully qualified
     getAllRoutes() {
         const allRoutes = {};
         for (const [method, routes] of Object.entries(this.routes)) {
             allRoutes[method] = Array.from(routes.keys());
         }
+
+        for (const layer of this.middleware) {
+            if (!layer.router) {
+                continue;
+            }
+            for (const [method, paths] of Object.entries(layer.router.getAllRoutes())) {
+                paths.forEach(path => {
+                    allRoutes[method].push(this.joinPaths(layer.prefix, path));
+                });
+            }
+        }
         return allRoutes;
     }
+
+    // Join a mount prefix and a route path ("/api" + "/users" -> "/api/users")
+    joinPaths(prefix, path) {
+        const base = prefix === '/' ? '' : prefix;
+        if (path === '/') {
+            return base || '/';
+        }
+        return base + (path.startsWith('/') ? path : '/' + path);
+    }
 }
 
-module.exports = Router;
\ No newline at end of file
+module.exports = Router;
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { logger } = require('./logger');
 
 class StaticHandler {
     constructor() {
@@ -37,7 +38,8 @@ class StaticHandler {
         return dynamicExtensions.includes(ext);
     }
 
-    async serveStatic(req, res, filePath) {
+    // Serve a file from public/, or from options.root when given
+    async serveStatic(req, res, filePath, options = {}) {
         try {
             // Default to index.html for root
             if (filePath === '/' || filePath === '') {
@@ -45,10 +47,11 @@ class StaticHandler {
             }
             
             // Resolve full path
-            const fullPath = path.join(this.publicDir, filePath);
+            const root = options.root ? path.resolve(options.root) : this.publicDir;
+            const fullPath = path.join(root, filePath);
             
             // Security check
-            if (!fullPath.startsWith(this.publicDir)) {
+            if (!fullPath.startsWith(root)) {
                 throw new Error('Forbidden');
             }
 
@@ -58,8 +61,7 @@ class StaticHandler {
             
             // Set appropriate cache headers based on file type
             const headers = {
-                'Content-Type': contentType,
-                'Access-Control-Allow-Origin': '*'
+                'Content-Type': contentType
             };
             
             if (this.isStaticAsset(filePath)) {
@@ -87,7 +89,7 @@ class StaticHandler {
                 res.writeHead(403, { 'Content-Type': 'text/html' });
                 res.end('<h1>403 - Forbidden</h1>');
             } else {
-                console.error('Static file error:', error);
+                (req.log || logger).error('Static file error', { path: filePath, error });
                 res.writeHead(500, { 'Content-Type': 'text/html' });
                 res.end('<h1>500 - Internal Server Error</h1>');
             }
@@ -1,30 +1,33 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { IncomingForm } = require('formidable');
+const { logger } = require('./logger');
 
 class UploadHandler {
-    constructor() {
-        this.uploadDir = path.join(__dirname, '../uploads');
-        this.maxFileSize = 10 * 1024 * 1024; // 10MB
-        this.allowedTypes = [
-            'image/jpeg',
-            'image/png', 
-            'image/gif',
-            'application/pdf',
-            'text/plain'
-        ];
-        this.allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.pdf', '.txt'];
-        
-        this.ensureUploadDir();
+    // options: config.uploads plus `exposeErrorDetails` (development only)
+    // and `metrics` (ServerMetrics recording upload results and sizes)
+    constructor(options) {
+        this.uploadDir = options.dir;
+        this.maxFileSize = options.maxFileSize;
+        this.allowedTypes = options.allowedTypes;
+        this.allowedExtensions = options.allowedExtensions;
+        this.exposeErrorDetails = Boolean(options.exposeErrorDetails);
+        this.metrics = options.metrics || null;
+        this.uploadDirReady = null; // Created on first upload, not at construction
     }
 
     async ensureUploadDir() {
-        try {
-            await fs.mkdir(this.uploadDir, { recursive: true });
-            console.log(`📁 Upload directory ready: ${this.uploadDir}`);
-        } catch (error) {
-            console.error('Error creating upload directory:', error);
+        if (!this.uploadDirReady) {
+            this.uploadDirReady = fs.mkdir(this.uploadDir, { recursive: true })
+                .then(() => {
+                    logger.info('Upload directory ready', { dir: this.uploadDir });
+                })
+                .catch((error) => {
+                    this.uploadDirReady = null; // Retry on the next upload
+                    logger.error('Error creating upload directory', { dir: this.uploadDir, error });
+                });
         }
+        return this.uploadDirReady;
     }
 
     validateFile(file) {
@@ -122,6 +125,9 @@ class UploadHandler {
     }
 
     sendSuccessResponse(res, req, fileInfo) {
+        if (this.metrics) {
+            this.metrics.upload('success', fileInfo.size);
+        }
         const response = {
             success: true,
             message: 'File uploaded successfully',
@@ -131,26 +137,24 @@ class UploadHandler {
             }
         };
 
-        res.writeHead(200, {
-            'Content-Type': 'application/json; charset=UTF-8',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify(response, null, 2));
+        res.status(200).json(response);
     }
 
     async handleUpload(req, res) {
+        const log = req.log || logger;
         // Check content type
         if (!req.headers['content-type']?.includes('multipart/form-data')) {
-            res.writeHead(400, { 
-                'Content-Type': 'application/json; charset=UTF-8',
-                'Access-Control-Allow-Origin': '*'
-            });
-            return res.end(JSON.stringify({
+            if (this.metrics) {
+                this.metrics.upload('rejected');
+            }
+            return res.status(400).json({
                 success: false,
                 error: 'Content-Type must be multipart/form-data'
-            }));
+            });
         }
 
+        await this.ensureUploadDir();
+
         const form = new IncomingForm({
             uploadDir: this.uploadDir,
             keepExtensions: true,
@@ -191,7 +195,7 @@ class UploadHandler {
                 try {
                     await fs.unlink(file.filepath);
                 } catch (cleanupError) {
-                    console.error('Error cleaning up file after path validation:', cleanupError);
+                    log.error('Error cleaning up file after path validation', { error: cleanupError });
                 }
                 throw new Error('Invalid file path - path traversal detected');
             }
@@ -243,41 +247,35 @@ class UploadHandler {
             }
 
         } catch (error) {
-            console.error('Upload error:', error);
+            log.warn('Upload rejected', { error });
+            if (this.metrics) {
+                this.metrics.upload('rejected');
+            }
             
             // Clean up any uploaded file on error
             if (error.filepath) {
                 try {
                     await fs.unlink(error.filepath);
                 } catch (cleanupError) {
-                    console.error('Error cleaning up file:', cleanupError);
+                    log.error('Error cleaning up file', { error: cleanupError });
                 }
             }
 
-            const isDevelopment = process.env.NODE_ENV === 'development';
             const errorResponse = {
                 success: false,
                 error: error.message || 'Upload failed'
             };
             
             // Only include stack trace in development
-            if (isDevelopment && error.stack) {
+            if (this.exposeErrorDetails && error.stack) {
                 errorResponse.details = error.stack;
             }
 
-            res.writeHead(400, {
-                'Content-Type': 'application/json; charset=UTF-8',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify(errorResponse));
+            res.status(400).json(errorResponse);
         }
     }
 }
 
-// Create and export instance
-const uploadHandler = new UploadHandler();
-
-// Export the method properly bound
 module.exports = {
-    handleUpload: uploadHandler.handleUpload.bind(uploadHandler)
+    UploadHandler
 };      
\ No newline at end of file
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ROOM_NAME_PATTERN } = require('../websocket/rooms');
 
 const schemas = {
     // Message schema for chat/messages
@@ -83,6 +84,244 @@ const schemas = {
     })
 };
 
+// Inbound WebSocket frames: { type, data } (see src/websocket/server.js)
+const COORDINATE_LIMIT = 100000; // Canvas coordinates, in pixels either way
+const DRAW_ACTIONS = ['start', 'draw', 'end', 'clear', 'undo', 'redo'];
+
+const roomName = Joi.string().pattern(ROOM_NAME_PATTERN).messages({
+    'string.pattern.base': '{{#label}} must be 1-64 letters, digits, "_", "-", "." or ":"'
+});
+const coordinate = Joi.number().min(-COORDINATE_LIMIT).max(COORDINATE_LIMIT);
+const messageId = Joi.number().integer().min(0);
+
+const messageSchemas = {
+    chat: Joi.object({
+        message: Joi.string().trim().min(1).max(100000).required(),
+        room: roomName
+    }).required(),
+
+    history: Joi.object({
+        room: roomName,
+        before: messageId,
+        after: messageId,
+        limit: Joi.number().integer().min(1)
+    }).oxor('before', 'after'),
+
+    draw: Joi.object({
+        action: Joi.string().valid(...DRAW_ACTIONS).required(),
+        room: roomName,
+        x: coordinate.when('action', { is: 'start', then: Joi.required() }),
+        y: coordinate.when('action', { is: 'start', then: Joi.required() }),
+        fromX: coordinate.when('action', { is: 'draw', then: Joi.required() }),
+        fromY: coordinate.when('action', { is: 'draw', then: Joi.required() }),
+        toX: coordinate.when('action', { is: 'draw', then: Joi.required() }),
+        toY: coordinate.when('action', { is: 'draw', then: Joi.required() }),
+        color: Joi.string().pattern(/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]{1,20})$/),
+        size: Joi.number().min(0.5).max(100),
+        strokeId: Joi.number().integer().min(1),
+        ref: Joi.alternatives().try(Joi.string().max(64), Joi.number())
+    }).required(),
+
+    subscribe: Joi.object({
+        channels: Joi.array().items(roomName).max(100).required()
+    }).required(),
+
+    join: Joi.object({
+        room: roomName.required()
+    }).required(),
+
+    leave: Joi.object({
+        room: roomName.required()
+    }).required(),
+
+    list: Joi.object({
+        room: roomName
+    }),
+
+    ping: Joi.object({
+        timestamp: Joi.number()
+    })
+};
+
+const messageFrameSchema = Joi.object({
+    type: Joi.string().valid(...Object.keys(messageSchemas)).required(),
+    data: Joi.when('type', {
+        switch: Object.entries(messageSchemas).map(([type, schema]) => ({ is: type, then: schema })),
+        otherwise: Joi.any()
+    })
+}).label('frame');
+
+// Server configuration schema (see src/config/index.js)
+const originSchema = Joi.alternatives().try(
+    Joi.boolean().valid(false),
+    Joi.string(),
+    Joi.object().instance(RegExp),
+    Joi.function(),
+    Joi.array().items(Joi.string(), Joi.object().instance(RegExp))
+);
+
+const corsSchema = Joi.object({
+    origin: originSchema,
+    methods: Joi.array().items(Joi.string().uppercase()),
+    allowedHeaders: Joi.array().items(Joi.string()).allow(null),
+    exposedHeaders: Joi.array().items(Joi.string()),
+    credentials: Joi.boolean(),
+    maxAge: Joi.number().integer().min(0).allow(null)
+});
+
+const rateLimitBucketSchema = Joi.object({
+    capacity: Joi.number().integer().min(1).required(),
+    refillPerSecond: Joi.number().min(0).required()
+});
+
+const configSchema = Joi.object({
+    env: Joi.string().required(),
+    port: Joi.number()
+        .port()
+        .required(),
+    host: Joi.string()
+        .hostname()
+        .allow(null),
+    configFile: Joi.string()
+        .allow(null),
+    trustProxy: Joi.alternatives()
+        .try(Joi.boolean(), Joi.number().integer().min(1))
+        .required(),
+    handleSignals: Joi.boolean()
+        .required(),
+    shutdown: Joi.object({
+        timeout: Joi.number().integer().min(0).required(),
+        reconnectDelay: Joi.number().integer().min(0).required()
+    }).required(),
+    body: Joi.object({
+        limit: Joi.alternatives().try(
+            Joi.number().integer().min(0),
+            Joi.string().pattern(/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i)
+        ).required()
+    }).required(),
+    cors: corsSchema.keys({
+        routes: Joi.object().pattern(Joi.string().pattern(/^\//), corsSchema)
+    }).required(),
+    websocket: Joi.object({
+        maxConnections: Joi.number().integer().min(1).required(),
+        maxConnectionsPerIp: Joi.number().integer().min(1).required(),
+        heartbeatInterval: Joi.number().integer().min(1000).required(),
+        pingTimeout: Joi.number().integer().min(100).required(),
+        allowedPaths: Joi.array().items(Joi.string().pattern(/^\//)).min(1).required(),
+        maxChatLength: Joi.number().integer().min(1).max(100000).required(),
+        maxRoomsPerClient: Joi.number().integer().min(1).required(),
+        maxMembersPerRoom: Joi.number().integer().min(1).required(),
+        metricsInterval: Joi.number().integer().min(100).required(),
+        backpressure: Joi.object({
+            highWatermark: Joi.number().integer().min(1).required(),
+            lowWatermark: Joi.number().integer().min(0).max(Joi.ref('highWatermark')).required(),
+            maxQueueBytes: Joi.number().integer().min(1).required(),
+            droppableTopics: Joi.array().items(Joi.string()).required()
+        }).required()
+    }).required(),
+    uploads: Joi.object({
+        dir: Joi.string().required(),
+        maxFileSize: Joi.number().integer().min(1).required(),
+        allowedTypes: Joi.array().items(Joi.string().pattern(/^[a-zA-Z0-9]+\/[a-zA-Z0-9.+-]+$/)).min(1).required(),
+        allowedExtensions: Joi.array().items(Joi.string().pattern(/^\.[a-zA-Z0-9]+$/)).min(1).required()
+    }).required(),
+    chatHistory: Joi.object({
+        store: Joi.alternatives().try(
+            Joi.string().valid('memory', 'file'),
+            Joi.object({
+                append: Joi.function().required(),
+                query: Joi.function().required()
+            }).unknown()
+        ).required(),
+        file: Joi.string().required(),
+        capacity: Joi.number().integer().min(1).required(),
+        replay: Joi.number().integer().min(0).required(),
+        maxLimit: Joi.number().integer().min(1).required(),
+        maxConversations: Joi.number().integer().min(1).required(),
+        compactAfter: Joi.number().integer().min(1).required()
+    }).required(),
+    whiteboard: Joi.object({
+        store: Joi.string().valid('memory', 'file').required(),
+        file: Joi.string().required(),
+        maxPointsPerBoard: Joi.number().integer().min(1).required(),
+        maxPointsPerStroke: Joi.number().integer().min(2).required(),
+        maxBoards: Joi.number().integer().min(1).required(),
+        compactAfter: Joi.number().integer().min(1).required()
+    }).required(),
+    logging: Joi.object({
+        level: Joi.string().valid('debug', 'info', 'warn', 'error', 'silent').required(),
+        format: Joi.string().valid('json', 'pretty', 'auto').required(),
+        accessLog: Joi.boolean().required()
+    }).required(),
+    metrics: Joi.object({
+        enabled: Joi.boolean().required(),
+        path: Joi.string().pattern(/^\/[\w\-./]*$/).required(),
+        eventLoopResolution: Joi.number().integer().min(1).max(1000).required()
+    }).required(),
+    cluster: Joi.object({
+        adapter: Joi.alternatives().try(
+            Joi.string().valid('none', 'ipc', 'tcp'),
+            Joi.object({
+                start: Joi.function().required(),
+                stop: Joi.function().required(),
+                publish: Joi.function().required()
+            }).unknown()
+        ).required(),
+        nodeId: Joi.string().max(200).allow(null),
+        heartbeatInterval: Joi.number().integer().min(100).required(),
+        workers: Joi.alternatives().try(
+            Joi.number().integer().min(0).max(1024),
+            Joi.string().valid('auto')
+        ).required(),
+        restartDelay: Joi.number().integer().min(0).required(),
+        maxRestartDelay: Joi.number().integer().min(0).required(),
+        bus: Joi.object({
+            address: Joi.string().required(),
+            serve: Joi.boolean().required(),
+            secret: Joi.string().min(32).allow(null)
+        }).required()
+    }).required(),
+    rateLimit: Joi.object({
+        enabled: Joi.boolean().required(),
+        http: Joi.object({
+            default: rateLimitBucketSchema.allow(null),
+            routes: Joi.object().pattern(Joi.string().pattern(/^(?:[A-Z]+\s+)?\/\S*$/), rateLimitBucketSchema).required()
+        }).required(),
+        websocket: Joi.object({
+            messages: Joi.object({
+                default: rateLimitBucketSchema.required()
+            }).pattern(Joi.string(), rateLimitBucketSchema).required(),
+            perIp: rateLimitBucketSchema.allow(null),
+            maxViolations: Joi.number().integer().min(1).required(),
+            violationWindow: Joi.number().integer().min(1000).required()
+        }).required()
+    }).required(),
+    auth: Joi.object({
+        required: Joi.boolean().required(),
+        jwt: Joi.object({
+            secret: Joi.string().min(32).allow(null),
+            issuer: Joi.string().allow(null),
+            audience: Joi.string().allow(null),
+            clockTolerance: Joi.number().integer().min(0).required()
+        }).required(),
+        apiKeysFile: Joi.string().allow(null),
+        roles: Joi.object().pattern(
+            Joi.string(),
+            Joi.array().items(Joi.string().pattern(/^[\w:.*-]+$/))
+        ).required(),
+        session: Joi.object({
+            secret: Joi.string().min(32).allow(null),
+            cookieName: Joi.string().pattern(/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/).required(),
+            maxAge: Joi.number().integer().min(1000).required(),
+            secure: Joi.boolean().required()
+        }).required()
+    }).required(),
+    admin: Joi.object({
+        enabled: Joi.boolean().allow(null).required(),
+        token: Joi.string().min(16).allow(null)
+    }).required()
+});
+
 // Custom validation rules
 const customRules = {
     // Check if string contains HTML tags
@@ -136,6 +375,9 @@ const customMessages = {
 
 module.exports = {
     schemas,
+    messageSchemas,
+    messageFrameSchema,
+    configSchema,
     customRules,
     customMessages
 };
\ No newline at end of file
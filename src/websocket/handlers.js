@@ -1,22 +1,115 @@
 /**
  * WebSocket Message Handlers
- * Handles different types of WebSocket messages (chat, drawing, subscriptions)
+ * Handles different types of WebSocket messages (chat, history, drawing, subscriptions, rooms)
  */
 
+const { isValidRoomName, describeMember } = require('./rooms');
+const { parseHistoryQuery } = require('../stores/messageStore');
+
+// Send one message through the client's send queue, logging (not throwing) on failure
+function sendMessage(ws, type, data) {
+    const message = JSON.stringify({ type, data });
+    try {
+        if (ws.queue) {
+            ws.queue.send(message);
+        } else {
+            ws.send(message);
+        }
+    } catch (error) {
+        ws.log.error('Error sending message', { type, error });
+    }
+}
+
+// Tell the remaining members of a room that someone joined or left
+function broadcastPresence(server, room, event, ws) {
+    server.rooms.publish(room, {
+        type: 'presence',
+        data: {
+            room,
+            event,
+            member: describeMember(ws),
+            members: server.rooms.memberCount(room),
+            timestamp: new Date().toISOString()
+        }
+    }, { exceptClientId: ws.id });
+}
+
+// Slow clients get consecutive segments of one stroke merged into a single
+// segment from the first start point to the latest end point
+const strokeCoalescing = {
+    merge(previous, next) {
+        return {
+            ...next,
+            data: {
+                ...next.data,
+                fromX: previous.data.fromX,
+                fromY: previous.data.fromY
+            }
+        };
+    }
+};
+
+function drawCoalescing(ws, data) {
+    const isSegment = data.action === 'draw' && data.fromX !== undefined && data.fromY !== undefined;
+    if (!isSegment) {
+        return null;
+    }
+    return { ...strokeCoalescing, key: `stroke:${ws.id}:${data.room || ''}` };
+}
+
+/**
+ * Check a permission for a connection, answering with a structured error
+ * frame when it is denied
+ */
+function authorize(ws, permission, server, action) {
+    if (server.policy.can(ws.user, permission)) {
+        return true;
+    }
+    sendMessage(ws, 'error', {
+        code: 'FORBIDDEN',
+        message: `Permission denied: ${permission}`,
+        permission,
+        action
+    });
+    return false;
+}
+
+// A message aimed at a room is only accepted from one of its members
+function checkRoomMembership(ws, room, server) {
+    if (room === undefined) {
+        return true;
+    }
+    if (!isValidRoomName(room) || !server.rooms.has(ws, room)) {
+        sendMessage(ws, 'error', { message: `Join room "${room}" before sending to it` });
+        return false;
+    }
+    return true;
+}
+
+// Send the latest chat messages of a conversation (room, or null for the
+// global chat) to a client that just subscribed or joined
+async function replayHistory(ws, server, room) {
+    const { replay } = server.config.chatHistory;
+    if (replay === 0) {
+        return;
+    }
+    try {
+        const { messages, hasMore } = await server.chatHistory.query({ room, limit: replay });
+        if (messages.length > 0) {
+            sendMessage(ws, 'history', { room, messages, hasMore, replay: true });
+        }
+    } catch (error) {
+        ws.log.error('Error replaying chat history', { room, error });
+    }
+}
+
 /**
  * Handle chat messages from clients
  */
-function handleChatMessage(ws, data, server) {
+async function handleChatMessage(ws, data, server) {
     // Standardize on 'message' field only - no support for 'text' field
     if (!data || !data.message || typeof data.message !== 'string') {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { message: 'Invalid chat message format. Required: { type: "chat", data: { message: "..." } }' }
-            }));
-        } catch (error) {
-            console.error(`Error sending chat validation error to ${ws.id}:`, error);
-        }
+        sendMessage(ws, 'error', { message: 'Invalid chat message format. Required: { type: "chat", data: { message: "..." } }' });
         return;
     }
     
@@ -24,81 +117,190 @@ function handleChatMessage(ws, data, server) {
     
     // Check if message is empty after trimming
     if (messageText.length === 0) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { message: 'Message cannot be empty' }
-            }));
-        } catch (error) {
-            console.error(`Error sending empty message error to ${ws.id}:`, error);
-        }
+        sendMessage(ws, 'error', { message: 'Message cannot be empty' });
         return;
     }
     
     // Validate message length
-    if (messageText.length > 500) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { message: 'Message too long. Maximum 500 characters.' }
-            }));
-        } catch (error) {
-            console.error(`Error sending message length error to ${ws.id}:`, error);
-        }
+    const { maxChatLength } = server.config.websocket;
+    if (messageText.length > maxChatLength) {
+        sendMessage(ws, 'error', { message: `Message too long. Maximum ${maxChatLength} characters.` });
         return;
     }
 
-    const chatMessage = {
-        type: 'chat',
-        data: {
-            from: data.from || data.user || `User_${ws.id.substring(0, 6)}`,
-            user: data.user || data.from || `User_${ws.id.substring(0, 6)}`,
-            message: messageText,
-            timestamp: new Date().toISOString(),
-            clientId: ws.id
-        }
+    if (!checkRoomMembership(ws, data.room, server)) {
+        return;
+    }
+
+    const entry = {
+        // Identity comes from the connection, never from the message
+        from: ws.user.name,
+        user: ws.user.name,
+        userId: ws.user.id,
+        message: messageText,
+        timestamp: new Date().toISOString(),
+        clientId: ws.id
     };
+    if (data.room !== undefined) {
+        entry.room = data.room;
+    }
+
+    // The store assigns the message id
+    let stored;
+    try {
+        stored = await server.chatHistory.append(entry);
+    } catch (error) {
+        ws.log.error('Error storing chat message', { error });
+        sendMessage(ws, 'error', { message: 'Message could not be saved' });
+        return;
+    }
+    const chatMessage = { type: 'chat', data: stored };
 
-    // Broadcast to all subscribed clients (async, non-blocking)
+    // Room messages go to that room's members, others to chat subscribers.
     // DO NOT echo back to sender - client already shows message optimistically
-    setImmediate(() => {
-        const messageStr = JSON.stringify(chatMessage);
-        const clientsToRemove = []; // Collect clients to remove after iteration
-        
-        // Create a copy of clients to avoid iteration issues
-        const clientsArray = Array.from(server.clients.entries());
-        
-        clientsArray.forEach(([clientId, client]) => {
-            // Skip the sender - don't echo back
-            if (clientId === ws.id) {
-                return;
+    if (data.room !== undefined) {
+        server.rooms.publish(data.room, chatMessage, { exceptClientId: ws.id });
+    } else {
+        server.hub.publish('chat', chatMessage, { exceptClientId: ws.id });
+    }
+}
+
+/**
+ * Handle history requests:
+ * { type: "history", data: { room?, before?, after?, limit? } }
+ * Answers { type: "history", data: { room, messages, hasMore } }, oldest first
+ */
+async function handleHistory(ws, data, server) {
+    const params = data || {};
+    if (!checkRoomMembership(ws, params.room, server)) {
+        return;
+    }
+
+    let query;
+    try {
+        query = parseHistoryQuery(params, server.config.chatHistory.maxLimit);
+    } catch (error) {
+        sendMessage(ws, 'error', { message: error.message, action: 'history' });
+        return;
+    }
+
+    try {
+        const { messages, hasMore } = await server.chatHistory.query(query);
+        sendMessage(ws, 'history', { room: query.room, messages, hasMore });
+    } catch (error) {
+        ws.log.error('Error reading chat history', { room: query.room, error });
+        sendMessage(ws, 'error', { message: 'Chat history is unavailable', action: 'history' });
+    }
+}
+
+// Stroke frames (start/draw/end) are relayed to others; board actions
+// change the shared board and are broadcast to everyone
+const BOARD_ACTIONS = ['clear', 'undo', 'redo'];
+
+// Send the full board (global whiteboard, or a room's) to a client
+function sendBoard(ws, server, room) {
+    sendMessage(ws, 'draw-sync', {
+        ...server.boards.snapshot(room),
+        timestamp: new Date().toISOString()
+    });
+}
+
+function isCoordinate(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Record a start/draw/end frame on the board. Returns the stroke it
+ * belongs to, or null for frames that don't change the board.
+ */
+function recordStroke(ws, data, server) {
+    const room = data.room;
+    switch (data.action) {
+        case 'start':
+            if (!isCoordinate(data.x) || !isCoordinate(data.y)) {
+                return null;
             }
-            
-            if (client.readyState === 1) {
-                // Only send if client has explicitly subscribed to chat
-                // Empty subscriptions means no subscriptions (opt-in model)
-                if (client.subscriptions && client.subscriptions.length > 0 && client.subscriptions.includes('chat')) {
-                    try {
-                        client.send(messageStr);
-                    } catch (error) {
-                        console.error(`Error sending chat message to ${clientId}:`, error);
-                        // Mark for removal
-                        if (client.readyState !== 1) {
-                            clientsToRemove.push(clientId);
-                        }
-                    }
-                }
-            } else {
-                // Mark dead connections for removal
-                clientsToRemove.push(clientId);
+            return server.boards.start(room, {
+                clientId: ws.id,
+                userId: ws.user.id,
+                color: typeof data.color === 'string' ? data.color.slice(0, 32) : '#000000',
+                size: isCoordinate(data.size) && data.size > 0 ? Math.min(data.size, 100) : 5,
+                x: data.x,
+                y: data.y
+            });
+
+        case 'draw': {
+            const x = data.toX !== undefined ? data.toX : data.x;
+            const y = data.toY !== undefined ? data.toY : data.y;
+            if (!isCoordinate(x) || !isCoordinate(y)) {
+                return null;
             }
-        });
-        
-        // Remove dead connections after iteration
-        clientsToRemove.forEach(clientId => {
-            server.clients.delete(clientId);
-        });
-    });
+            const stroke = server.boards.extend(room, ws.id, x, y);
+            if (stroke || !isCoordinate(data.fromX) || !isCoordinate(data.fromY)) {
+                return stroke;
+            }
+            // Segment without a start (e.g. the start frame was rate limited)
+            recordStroke(ws, { ...data, action: 'start', x: data.fromX, y: data.fromY }, server);
+            return server.boards.extend(room, ws.id, x, y);
+        }
+
+        case 'end':
+            return server.boards.end(room, ws.id);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply clear/undo/redo to the board and broadcast the result to everyone
+ * on it, the sender included, so all canvases end up the same.
+ * undo/redo take an optional strokeId and only touch the sender's own strokes.
+ */
+function handleBoardAction(ws, data, server) {
+    const { action, room } = data;
+    const strokeId = data.strokeId === undefined ? null : data.strokeId;
+
+    const result = {
+        action,
+        clientId: ws.id,
+        userId: ws.user.id,
+        timestamp: new Date().toISOString()
+    };
+    if (room !== undefined) {
+        result.room = room;
+    }
+
+    if (action === 'clear') {
+        server.boards.clear(room);
+    } else {
+        const stroke = action === 'undo'
+            ? server.boards.undo(room, ws.user.id, strokeId)
+            : server.boards.redo(room, ws.user.id, strokeId);
+        if (!stroke) {
+            sendMessage(ws, 'error', {
+                code: action === 'undo' ? 'NOTHING_TO_UNDO' : 'NOTHING_TO_REDO',
+                message: strokeId === null
+                    ? `Nothing to ${action}`
+                    : `Stroke ${strokeId} is not one of your strokes that can be ${action === 'undo' ? 'undone' : 'redone'}`,
+                action,
+                strokeId
+            });
+            return;
+        }
+        result.strokeId = stroke.id;
+        if (action === 'redo') {
+            // Receivers need the points to draw it again
+            result.stroke = stroke;
+        }
+    }
+
+    const message = { type: 'draw', data: result };
+    if (room !== undefined) {
+        server.rooms.publish(room, message);
+    } else {
+        server.hub.publish('draw', message);
+    }
 }
 
 /**
@@ -106,66 +308,52 @@ function handleChatMessage(ws, data, server) {
  */
 function handleDrawing(ws, data, server) {
     if (!data || !data.action) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { message: 'Invalid drawing message format' }
-            }));
-        } catch (error) {
-            console.error(`Error sending drawing validation error to ${ws.id}:`, error);
-        }
+        sendMessage(ws, 'error', { message: 'Invalid drawing message format' });
         return;
     }
 
+    if (!checkRoomMembership(ws, data.room, server)) {
+        return;
+    }
+
+    if (BOARD_ACTIONS.includes(data.action)) {
+        handleBoardAction(ws, data, server);
+        return;
+    }
+
+    // Keep the board so late joiners can be synced
+    const stroke = recordStroke(ws, data, server);
+    if (stroke && data.action === 'start') {
+        // The sender needs the id to refer to its stroke later (undo/redo);
+        // an optional client "ref" is echoed so it can tell strokes apart
+        sendMessage(ws, 'draw-ack', {
+            room: data.room === undefined ? null : data.room,
+            strokeId: stroke.id,
+            ref: data.ref
+        });
+    }
+
     const drawMessage = {
         type: 'draw',
         data: {
             ...data,
             clientId: ws.id,
+            userId: ws.user.id,
             timestamp: new Date().toISOString()
         }
     };
+    if (stroke) {
+        drawMessage.data.strokeId = stroke.id;
+    }
 
-    // Broadcast to all clients subscribed to draw events (async, non-blocking)
+    // Room drawings go to that room's members, others to draw subscribers.
     // DO NOT echo back to sender
-    setImmediate(() => {
-        const messageStr = JSON.stringify(drawMessage);
-        const clientsToRemove = []; // Collect clients to remove after iteration
-        
-        // Create a copy to avoid iteration issues
-        const clientsArray = Array.from(server.clients.entries());
-        
-        clientsArray.forEach(([clientId, client]) => {
-            // Skip the sender - don't echo back
-            if (clientId === ws.id) {
-                return;
-            }
-            
-            if (client.readyState === 1) {
-                // Only send if client has explicitly subscribed to draw
-                // Empty subscriptions means no subscriptions (opt-in model)
-                if (client.subscriptions && client.subscriptions.length > 0 && client.subscriptions.includes('draw')) {
-                    try {
-                        client.send(messageStr);
-                    } catch (error) {
-                        console.error(`Error sending draw message to ${clientId}:`, error);
-                        // Mark for removal
-                        if (client.readyState !== 1) {
-                            clientsToRemove.push(clientId);
-                        }
-                    }
-                }
-            } else {
-                // Mark dead connections for removal
-                clientsToRemove.push(clientId);
-            }
-        });
-        
-        // Remove dead connections after iteration
-        clientsToRemove.forEach(clientId => {
-            server.clients.delete(clientId);
-        });
-    });
+    const options = { exceptClientId: ws.id, coalesce: drawCoalescing(ws, data) };
+    if (data.room !== undefined) {
+        server.rooms.publish(data.room, drawMessage, options);
+    } else {
+        server.hub.publish('draw', drawMessage, options);
+    }
 }
 
 /**
@@ -173,57 +361,145 @@ function handleDrawing(ws, data, server) {
  */
 function handleSubscription(ws, data, server) {
     if (!data || !data.channels || !Array.isArray(data.channels)) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { message: 'Invalid subscription format. Expected channels array.' }
-            }));
-        } catch (error) {
-            console.error(`Error sending subscription error to ${ws.id}:`, error);
-        }
+        sendMessage(ws, 'error', { message: 'Invalid subscription format. Expected channels array.' });
         return;
     }
 
-    // Validate channel names
-    const validChannels = ['chat', 'metrics', 'draw', 'notification'];
-    const invalidChannels = data.channels.filter(ch => !validChannels.includes(ch));
+    // Built-in channels are chat, metrics, draw and notification; any other
+    // valid name is a topic created on demand
+    const invalidChannels = data.channels.filter(ch => !isValidRoomName(ch));
     
     if (invalidChannels.length > 0) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                data: { 
-                    message: `Invalid channel names: ${invalidChannels.join(', ')}. Valid channels: ${validChannels.join(', ')}` 
-                }
-            }));
-        } catch (error) {
-            console.error(`Error sending channel validation error to ${ws.id}:`, error);
-        }
+        sendMessage(ws, 'error', { message: `Invalid channel names: ${invalidChannels.join(', ')}. Use 1-64 letters, digits, "_", "-", "." or ":".` });
+        return;
+    }
+
+    const channels = Array.from(new Set(data.channels));
+
+    // Only channels the client's roles allow (built-in ones included)
+    const deniedChannels = channels.filter(channel => !server.policy.can(ws.user, `subscribe:${channel}`));
+    if (deniedChannels.length > 0) {
+        sendMessage(ws, 'error', {
+            code: 'FORBIDDEN',
+            message: `Permission denied for channels: ${deniedChannels.join(', ')}`,
+            permission: deniedChannels.map(channel => `subscribe:${channel}`),
+            action: 'subscribe'
+        });
+        return;
+    }
+    const { maxRoomsPerClient } = server.rooms;
+    if (channels.length > maxRoomsPerClient) {
+        sendMessage(ws, 'error', { message: `Cannot subscribe to more than ${maxRoomsPerClient} channels` });
         return;
     }
 
     // Update client subscriptions (allow opt-out by sending empty array)
-    ws.subscriptions = data.channels;
+    const isNew = channel => channels.includes(channel) && !ws.subscriptions.includes(channel);
+    const newlySubscribedToChat = isNew('chat');
+    const newlySubscribedToDraw = isNew('draw');
+    ws.subscriptions.forEach(channel => server.hub.unsubscribe(ws, channel));
+    channels.forEach(channel => server.hub.subscribe(ws, channel));
+    ws.subscriptions = channels;
+
+    sendMessage(ws, 'subscription', {
+        message: 'Subscriptions updated',
+        channels: ws.subscriptions,
+        timestamp: new Date().toISOString()
+    });
+
+    ws.log.info('WebSocket subscriptions updated', { channels: ws.subscriptions });
+
+    if (newlySubscribedToChat) {
+        replayHistory(ws, server, null);
+    }
+    if (newlySubscribedToDraw) {
+        sendBoard(ws, server, null);
+    }
+}
 
+/**
+ * Handle room joins: { type: "join", data: { room } }
+ */
+function handleJoin(ws, data, server) {
+    const room = data && data.room;
+    let joined;
     try {
-        ws.send(JSON.stringify({
-            type: 'subscription',
-            data: {
-                message: 'Subscriptions updated',
-                channels: ws.subscriptions,
-                timestamp: new Date().toISOString()
-            }
-        }));
+        joined = server.rooms.join(ws, room);
     } catch (error) {
-        console.error(`Error sending subscription confirmation to ${ws.id}:`, error);
+        sendMessage(ws, 'error', { message: error.message, code: error.code, room });
+        return;
+    }
+
+    sendMessage(ws, 'joined', {
+        room,
+        members: server.rooms.describeMembers(room),
+        timestamp: new Date().toISOString()
+    });
+
+    if (joined) {
+        ws.log.info('Joined room', { room });
+        broadcastPresence(server, room, 'join', ws);
+        replayHistory(ws, server, room);
+        sendBoard(ws, server, room);
+    }
+}
+
+/**
+ * Handle room leaves: { type: "leave", data: { room } }
+ */
+function handleLeave(ws, data, server) {
+    const room = data && data.room;
+    if (!server.rooms.leave(ws, room)) {
+        sendMessage(ws, 'error', { message: `Not a member of room "${room}"`, code: 'NOT_A_MEMBER', room });
+        return;
+    }
+
+    sendMessage(ws, 'left', { room, timestamp: new Date().toISOString() });
+    ws.log.info('Left room', { room });
+    broadcastPresence(server, room, 'leave', ws);
+}
+
+/**
+ * Handle listing: { type: "list" } for all rooms,
+ * { type: "list", data: { room } } for the members of a room the client joined
+ */
+function handleList(ws, data, server) {
+    const room = data && data.room;
+    if (room !== undefined) {
+        if (!checkRoomMembership(ws, room, server)) {
+            return;
+        }
+        sendMessage(ws, 'members', {
+            room,
+            members: server.rooms.describeMembers(room)
+        });
+        return;
     }
 
-    console.log(`📡 Client ${ws.id} subscribed to: ${ws.subscriptions.length > 0 ? ws.subscriptions.join(', ') : 'none (opted out)'}`);
+    sendMessage(ws, 'rooms', {
+        rooms: server.rooms.list(),
+        joined: Array.from(ws.rooms || [])
+    });
+}
+
+/**
+ * Remove a disconnected client from its rooms and notify the other members
+ */
+function handleRoomsOnDisconnect(ws, server) {
+    server.rooms.leaveAll(ws).forEach(room => broadcastPresence(server, room, 'leave', ws));
+    // Strokes cut off by the disconnect stay on their boards
+    server.boards.endAll(ws.id);
 }
 
 module.exports = {
     handleChatMessage,
+    handleHistory,
     handleDrawing,
-    handleSubscription
+    handleSubscription,
+    handleJoin,
+    handleLeave,
+    handleList,
+    handleRoomsOnDisconnect,
+    authorize
 };
 
@@ -0,0 +1,206 @@
+/**
+ * WebSocket Hub
+ * Publish/subscribe fan-out for every server-to-client broadcast. Keeps a
+ * topic -> clients index so publishing never scans unrelated connections,
+ * and serializes each message once no matter how many clients receive it.
+ *
+ * Topics:
+ *   '*'          every connected client (see addClient)
+ *   'chat', ...  channels clients subscribe to
+ *   'room/<n>'   room members (managed by RoomManager)
+ *
+ * Registered clients get a SendQueue (ws.queue), so every send made through
+ * the hub respects per-connection backpressure.
+ *
+ * With a cluster adapter, publish() also forwards each message to the other
+ * server nodes, which deliver it to their own subscribers (see src/cluster).
+ */
+
+const { SendQueue } = require('./sendQueue');
+const { logger } = require('../utils/logger');
+
+const ALL_CLIENTS = '*';
+const OPEN = 1; // WebSocket.OPEN
+
+class Hub {
+    // backpressure: SendQueue options (watermarks, maxQueueBytes, droppableTopics)
+    // adapter: ClusterAdapter that carries publishes to other nodes
+    // metrics: ServerMetrics recording messages sent and broadcast fan-out
+    constructor({ backpressure = {}, adapter = null, metrics = null } = {}) {
+        this.backpressure = backpressure;
+        this.adapter = adapter;
+        this.metrics = metrics;
+        this.topics = new Map();       // topic -> Set of ws
+        this.clientTopics = new Map(); // ws -> Set of topics, for removeClient
+        this.stats = {
+            published: 0,
+            delivered: 0,
+            dropped: 0,
+            failed: 0
+        };
+        // Shared by every SendQueue
+        this.slowConsumers = {
+            current: 0,
+            total: 0,
+            dropped: 0,
+            coalesced: 0,
+            disconnected: 0
+        };
+    }
+
+    // Register a connected client; it receives everything published to ALL_CLIENTS
+    addClient(ws) {
+        ws.queue = new SendQueue(ws, this.backpressure, this.slowConsumers, this.metrics);
+        this.subscribe(ws, ALL_CLIENTS);
+    }
+
+    // Drop a disconnected client from every topic
+    removeClient(ws) {
+        if (ws.queue) {
+            ws.queue.clear();
+        }
+        const topics = this.clientTopics.get(ws);
+        if (!topics) {
+            return;
+        }
+        Array.from(topics).forEach(topic => this.unsubscribe(ws, topic));
+    }
+
+    // Send one message to one client through its queue.
+    // Returns the SendQueue outcome ('sent', 'queued', 'dropped', ...).
+    send(ws, payload, { topic = null, coalesce = null } = {}) {
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        return this.deliver(ws, message, { topic, payload, coalesce });
+    }
+
+    deliver(ws, message, options) {
+        if (ws.readyState !== OPEN) {
+            return 'skipped';
+        }
+        if (!ws.queue) {
+            ws.send(message);
+            return 'sent';
+        }
+        return ws.queue.send(message, options);
+    }
+
+    subscribe(ws, topic) {
+        let clients = this.topics.get(topic);
+        if (!clients) {
+            clients = new Set();
+            this.topics.set(topic, clients);
+        }
+        clients.add(ws);
+
+        let topics = this.clientTopics.get(ws);
+        if (!topics) {
+            topics = new Set();
+            this.clientTopics.set(ws, topics);
+        }
+        topics.add(topic);
+    }
+
+    // Returns false if the client wasn't subscribed
+    unsubscribe(ws, topic) {
+        const clients = this.topics.get(topic);
+        if (!clients || !clients.delete(ws)) {
+            return false;
+        }
+        if (clients.size === 0) {
+            this.topics.delete(topic);
+        }
+
+        const topics = this.clientTopics.get(ws);
+        topics.delete(topic);
+        if (topics.size === 0) {
+            this.clientTopics.delete(ws);
+        }
+        return true;
+    }
+
+    isSubscribed(ws, topic) {
+        const clients = this.topics.get(topic);
+        return Boolean(clients && clients.has(ws));
+    }
+
+    subscribers(topic) {
+        return Array.from(this.topics.get(topic) || []);
+    }
+
+    subscriberCount(topic) {
+        const clients = this.topics.get(topic);
+        return clients ? clients.size : 0;
+    }
+
+    topicNames() {
+        return Array.from(this.topics.keys());
+    }
+
+    /**
+     * Send a message to every open subscriber of a topic.
+     * payload is an object (serialized once) or an already serialized string.
+     * Options:
+     *   exceptClientId  skip this client (usually the sender)
+     *   filter          (ws) -> boolean, skip clients it rejects
+     *   coalesce        { key, merge } for slow clients (see SendQueue)
+     *   local           don't forward to other cluster nodes
+     * Filtered messages stay local (a filter can't cross processes), and
+     * other nodes deliver without coalescing.
+     * Returns { topic, delivered, skipped, dropped, failed } for this node's
+     * clients; queued messages count as delivered.
+     */
+    publish(topic, payload, { exceptClientId = null, filter = null, coalesce = null, local = false } = {}) {
+        const result = { topic, delivered: 0, skipped: 0, dropped: 0, failed: 0 };
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        if (this.adapter && !local && !filter) {
+            this.adapter.publish(topic, message, exceptClientId);
+        }
+
+        const clients = this.topics.get(topic);
+        this.stats.published++;
+        if (!clients) {
+            if (this.metrics) {
+                this.metrics.broadcast(topic, 0);
+            }
+            return result;
+        }
+
+        const options = { topic, payload, coalesce };
+
+        // Copy first: a failing send can close the socket and unsubscribe it mid-loop
+        Array.from(clients).forEach((client) => {
+            if (client.readyState !== OPEN ||
+                (exceptClientId !== null && client.id === exceptClientId) ||
+                (filter && !filter(client))) {
+                result.skipped++;
+                return;
+            }
+            try {
+                const outcome = this.deliver(client, message, options);
+                if (outcome === 'dropped' || outcome === 'closed') {
+                    result.dropped++;
+                } else if (outcome === 'skipped') {
+                    result.skipped++;
+                } else {
+                    result.delivered++;
+                }
+            } catch (error) {
+                (client.log || logger).error('Error publishing to client', { topic, error });
+                result.failed++;
+            }
+        });
+
+        this.stats.delivered += result.delivered;
+        this.stats.dropped += result.dropped;
+        this.stats.failed += result.failed;
+        if (this.metrics) {
+            this.metrics.broadcast(topic, result.delivered);
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    Hub,
+    ALL_CLIENTS
+};
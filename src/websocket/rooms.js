@@ -0,0 +1,156 @@
+/**
+ * WebSocket Rooms
+ * Named rooms created on first join and removed when the last member
+ * leaves. Chat and draw messages that name a room are delivered only to
+ * its members. Membership lives in the hub as 'room/<name>' topics.
+ *
+ * With a cluster adapter, joins and leaves are announced to the other
+ * nodes, and member lists, counts and the room limit cover every node.
+ */
+
+// Room and topic names: letters, digits and _ - . : (at most 64 characters)
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// "/" can't appear in a name, so clients can't subscribe to a room topic directly
+const ROOM_TOPIC_PREFIX = 'room/';
+
+function roomTopic(name) {
+    return ROOM_TOPIC_PREFIX + name;
+}
+
+// Build an error whose message is safe to send back to the client
+function roomError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isValidRoomName(name) {
+    return typeof name === 'string' && ROOM_NAME_PATTERN.test(name);
+}
+
+// Public description of a room member
+function describeMember(ws) {
+    return { clientId: ws.id, userId: ws.user.id, name: ws.user.name };
+}
+
+class RoomManager {
+    // cluster: ClusterAdapter that shares membership with other nodes
+    constructor(hub, { maxRoomsPerClient = 10, maxMembersPerRoom = 100, cluster = null } = {}) {
+        this.hub = hub;
+        this.maxRoomsPerClient = maxRoomsPerClient;
+        this.maxMembersPerRoom = maxMembersPerRoom;
+        this.cluster = cluster;
+    }
+
+    // Add a client to a room, creating the room on demand.
+    // Returns false if the client was already a member.
+    join(ws, name) {
+        if (!isValidRoomName(name)) {
+            throw roomError('INVALID_ROOM', 'Invalid room name. Use 1-64 letters, digits, "_", "-", "." or ":".');
+        }
+
+        ws.rooms = ws.rooms || new Set();
+        if (ws.rooms.has(name)) {
+            return false;
+        }
+        if (ws.rooms.size >= this.maxRoomsPerClient) {
+            throw roomError('ROOM_LIMIT', `Cannot join more than ${this.maxRoomsPerClient} rooms`);
+        }
+
+        if (this.memberCount(name) >= this.maxMembersPerRoom) {
+            throw roomError('ROOM_FULL', `Room "${name}" is full (${this.maxMembersPerRoom} members)`);
+        }
+
+        this.hub.subscribe(ws, roomTopic(name));
+        ws.rooms.add(name);
+        if (this.cluster) {
+            this.cluster.roomJoined(name, describeMember(ws));
+        }
+        return true;
+    }
+
+    // Remove a client from a room. Returns false if it wasn't a member.
+    leave(ws, name) {
+        if (!this.has(ws, name)) {
+            return false;
+        }
+        this.hub.unsubscribe(ws, roomTopic(name));
+        ws.rooms.delete(name);
+        if (this.cluster) {
+            this.cluster.roomLeft(name, describeMember(ws));
+        }
+        return true;
+    }
+
+    // Remove a client from every room it joined, returning the room names
+    leaveAll(ws) {
+        const left = Array.from(ws.rooms || []);
+        left.forEach(name => this.leave(ws, name));
+        return left;
+    }
+
+    has(ws, name) {
+        return Boolean(ws.rooms && ws.rooms.has(name));
+    }
+
+    // This node's members of a room (an empty array for unknown rooms)
+    members(name) {
+        return this.hub.subscribers(roomTopic(name));
+    }
+
+    // Descriptions of a room's members on every node
+    describeMembers(name) {
+        const members = this.members(name).map(describeMember);
+        return this.cluster ? members.concat(this.cluster.remoteMembers(name)) : members;
+    }
+
+    // Whether any connection of a user (on any node) is in a room
+    hasUser(name, userId) {
+        return this.describeMembers(name).some(member => member.userId === userId);
+    }
+
+    // Number of members on every node
+    memberCount(name) {
+        const local = this.hub.subscriberCount(roomTopic(name));
+        return this.cluster ? local + this.cluster.remoteMembers(name).length : local;
+    }
+
+    // Summary of every room on every node: [{ name, members }]
+    list() {
+        const counts = this.cluster ? this.cluster.remoteRooms() : new Map();
+        this.localRoomNames().forEach((name) => {
+            counts.set(name, (counts.get(name) || 0) + this.hub.subscriberCount(roomTopic(name)));
+        });
+        return Array.from(counts, ([name, members]) => ({ name, members }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    localRoomNames() {
+        return this.hub.topicNames()
+            .filter(topic => topic.startsWith(ROOM_TOPIC_PREFIX))
+            .map(topic => topic.slice(ROOM_TOPIC_PREFIX.length));
+    }
+
+    // This node's membership for cluster state: { name: [member] }
+    snapshot() {
+        const rooms = {};
+        this.localRoomNames().forEach((name) => {
+            rooms[name] = this.members(name).map(describeMember);
+        });
+        return rooms;
+    }
+
+    // Send to a room's members through the hub (same options as hub.publish)
+    publish(name, payload, options) {
+        return this.hub.publish(roomTopic(name), payload, options);
+    }
+}
+
+module.exports = {
+    RoomManager,
+    isValidRoomName,
+    describeMember,
+    roomTopic,
+    ROOM_NAME_PATTERN
+};
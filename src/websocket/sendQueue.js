@@ -0,0 +1,186 @@
+/**
+ * WebSocket Send Queue
+ * Per-connection backpressure. Messages go straight to the socket while
+ * ws.bufferedAmount is under the high watermark; past it they wait in a
+ * queue that is flushed once the socket drains below the low watermark.
+ * While a client is behind:
+ *   1. messages on droppable topics (metrics by default) are dropped
+ *   2. coalescable messages replace the last queued one with the same key
+ *   3. once the queue exceeds maxQueueBytes the client is closed with 1008
+ */
+
+const { logger } = require('../utils/logger');
+
+const OPEN = 1; // WebSocket.OPEN
+const DRAIN_CHECK_INTERVAL = 50; // ms between checks while a client is behind
+
+const DEFAULT_OPTIONS = {
+    highWatermark: 1024 * 1024,     // 1MB buffered in the socket
+    lowWatermark: 256 * 1024,       // resume flushing below 256KB
+    maxQueueBytes: 4 * 1024 * 1024, // close the client past 4MB queued
+    droppableTopics: ['metrics']
+};
+
+class SendQueue {
+    // stats is shared by every queue: { current, total, dropped, coalesced, disconnected }
+    // metrics: ServerMetrics that counts messages sent or queued
+    constructor(ws, options = {}, stats = null, metrics = null) {
+        this.ws = ws;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.stats = stats || { current: 0, total: 0, dropped: 0, coalesced: 0, disconnected: 0 };
+        this.metrics = metrics;
+        this.log = ws.log || logger; // Carries the connection's id
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.slow = false;
+        this.timer = null;
+    }
+
+    /**
+     * Send or queue a serialized message.
+     * Options:
+     *   topic     used to decide whether the message can be dropped
+     *   payload   the unserialized message, needed by coalesce.merge
+     *   coalesce  { key, merge(previous, next) } - while queued, a newer message
+     *             with the same key replaces (or is merged into) this one
+     * Returns 'sent', 'queued', 'coalesced', 'dropped', 'skipped' or 'closed'.
+     */
+    send(message, { topic = null, payload = null, coalesce = null } = {}) {
+        const { ws } = this;
+        if (ws.readyState !== OPEN) {
+            return 'skipped';
+        }
+
+        if (!this.slow && ws.bufferedAmount < this.options.highWatermark) {
+            ws.send(message);
+            this.countSent(payload, message);
+            return 'sent';
+        }
+
+        this.markSlow();
+
+        if (topic && this.options.droppableTopics.includes(topic)) {
+            this.stats.dropped++;
+            return 'dropped';
+        }
+
+        // Only the newest entry is coalesced, so ordering with other messages is kept
+        const last = this.queue[this.queue.length - 1];
+        if (coalesce && last && last.key === coalesce.key) {
+            this.queuedBytes -= last.bytes;
+            const mergeable = last.payload && typeof last.payload === 'object' &&
+                payload && typeof payload === 'object';
+            if (coalesce.merge && mergeable) {
+                last.payload = coalesce.merge(last.payload, payload);
+                last.message = JSON.stringify(last.payload);
+            } else {
+                last.payload = payload;
+                last.message = message;
+            }
+            last.bytes = Buffer.byteLength(last.message);
+            this.queuedBytes += last.bytes;
+            this.stats.coalesced++;
+            return 'coalesced';
+        }
+
+        const bytes = Buffer.byteLength(message);
+        this.queue.push({ message, payload, bytes, key: coalesce ? coalesce.key : null });
+        this.queuedBytes += bytes;
+
+        if (this.queuedBytes > this.options.maxQueueBytes) {
+            this.disconnect();
+            return 'closed';
+        }
+
+        this.countSent(payload, message);
+        this.scheduleFlush();
+        return 'queued';
+    }
+
+    countSent(payload, message) {
+        if (this.metrics) {
+            this.metrics.messageSent(payload, message);
+        }
+    }
+
+    // Write queued messages while the socket has room
+    flush() {
+        this.timer = null;
+        const { ws } = this;
+        if (ws.readyState !== OPEN) {
+            this.clear();
+            return;
+        }
+
+        // After falling behind, wait for the socket to drain to the low watermark
+        if (ws.bufferedAmount > this.options.lowWatermark) {
+            this.scheduleFlush();
+            return;
+        }
+
+        while (this.queue.length > 0 && ws.bufferedAmount < this.options.highWatermark) {
+            const entry = this.queue.shift();
+            this.queuedBytes -= entry.bytes;
+            try {
+                ws.send(entry.message);
+            } catch (error) {
+                this.log.error('Error flushing send queue', { error });
+            }
+        }
+
+        if (this.queue.length === 0 && ws.bufferedAmount <= this.options.lowWatermark) {
+            this.markRecovered();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    scheduleFlush() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), DRAIN_CHECK_INTERVAL);
+        }
+    }
+
+    markSlow() {
+        if (!this.slow) {
+            this.slow = true;
+            this.stats.current++;
+            this.stats.total++;
+            this.log.warn('Client is falling behind', { bufferedBytes: this.ws.bufferedAmount });
+        }
+    }
+
+    markRecovered() {
+        if (this.slow) {
+            this.slow = false;
+            this.stats.current--;
+        }
+    }
+
+    // Give up on a client that can't keep up
+    disconnect() {
+        const limit = this.options.maxQueueBytes;
+        this.clear();
+        this.stats.disconnected++;
+        this.log.warn('Closing slow client: outgoing queue limit exceeded', { limitBytes: limit });
+        try {
+            this.ws.close(1008, `Client too slow: outgoing queue exceeded ${limit} bytes`);
+        } catch (error) {
+            this.log.error('Error closing slow client', { error });
+        }
+    }
+
+    // Drop everything queued and stop flushing (connection closed)
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+        this.queuedBytes = 0;
+        this.markRecovered();
+    }
+}
+
+module.exports = {
+    SendQueue,
+    DEFAULT_OPTIONS
+};
@@ -1,49 +1,135 @@
 const WebSocket = require('ws');
-const { handleChatMessage, handleDrawing, handleSubscription } = require('./handlers');
+const { anonymousUser } = require('../auth');
+const { RateLimiter, getClientIp } = require('../utils/rateLimiter');
+const { messageSchemas } = require('../validation/schemas');
+const { validateMessage } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const {
+    handleChatMessage,
+    handleHistory,
+    handleDrawing,
+    handleSubscription,
+    handleJoin,
+    handleLeave,
+    handleList,
+    handleRoomsOnDisconnect,
+    authorize
+} = require('./handlers');
 
-// Configuration
-const MAX_CONNECTIONS = 1000; // Maximum WebSocket connections
-const HEARTBEAT_INTERVAL = 30000; // 30 seconds
-const PING_TIMEOUT = 10000; // 10 seconds timeout for pong
+// Permission each message type needs (subscribe is checked per channel)
+const messagePermissions = {
+    chat: () => 'publish:chat',
+    // Clearing a board is a separate, more destructive permission
+    draw: data => (data && data.action === 'clear' ? 'whiteboard:clear' : 'publish:draw'),
+    join: data => `room:${data && data.room}`,
+    // Global history needs the chat channel, room history room access (and membership)
+    history: data => (data && data.room !== undefined ? `room:${data.room}` : 'subscribe:chat'),
+    // A room's member list needs room access (and membership); the room index is open
+    list: data => (data && data.room !== undefined ? `room:${data.room}` : null)
+};
+
+// Token buckets per message type (keyed by user, or client when anonymous)
+// and per IP across all message types. Returns check(ws, type) -> result.
+function createMessageRateLimit({ enabled, websocket: limits }) {
+    if (!enabled) {
+        return () => ({ allowed: true, retryAfter: 0 });
+    }
+
+    const typeLimiters = {};
+    Object.entries(limits.messages).forEach(([type, options]) => {
+        typeLimiters[type] = new RateLimiter(options);
+    });
+    const ipLimiter = limits.perIp ? new RateLimiter(limits.perIp) : null;
+
+    return function checkMessageRate(ws, type) {
+        const limiter = Object.prototype.hasOwnProperty.call(typeLimiters, type)
+            ? typeLimiters[type]
+            : typeLimiters.default;
+        const caller = ws.user && !ws.user.anonymous ? `user:${ws.user.id}` : `client:${ws.id}`;
+        const result = limiter.take(`${type}|${caller}`);
+        if (!result.allowed || !ipLimiter) {
+            return result;
+        }
+        return ipLimiter.take(`ip:${ws.ip}`);
+    };
+}
 
 function setupWebSocketServer(serverInstance) {
+    // Connection limits and heartbeat timing come from config.websocket
+    const {
+        maxConnections: MAX_CONNECTIONS,
+        maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP,
+        heartbeatInterval: HEARTBEAT_INTERVAL,
+        pingTimeout: PING_TIMEOUT
+    } = serverInstance.config.websocket;
+    const { maxViolations, violationWindow } = serverInstance.config.rateLimit.websocket;
+    const checkMessageRate = createMessageRateLimit(serverInstance.config.rateLimit);
+
     const wss = new WebSocket.Server({ 
         noServer: true,
         clientTracking: true,
         perMessageDeflate: false // Disable compression for better performance
     });
     const heartbeats = new Map();
+    const connectionsPerIp = new Map(); // ip -> open connection count
 
     wss.on('connection', (ws, req) => {
         // Check connection limit using actual client count
         const currentConnections = serverInstance.clients.size;
         if (currentConnections >= MAX_CONNECTIONS) {
-            console.warn(`⚠️ Connection limit reached (${MAX_CONNECTIONS}), rejecting new connection`);
+            logger.warn('WebSocket connection rejected: server at capacity', { maxConnections: MAX_CONNECTIONS });
             ws.close(1008, 'Server at capacity');
             return;
         }
 
+        const ip = getClientIp(req, serverInstance.config.trustProxy);
+        const ipConnections = connectionsPerIp.get(ip) || 0;
+        if (ipConnections >= MAX_CONNECTIONS_PER_IP) {
+            logger.warn('WebSocket connection rejected: per-IP limit reached', { ip, maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP });
+            ws.close(1008, 'Too many connections from this address');
+            return;
+        }
+        connectionsPerIp.set(ip, ipConnections + 1);
+        ws.once('close', () => {
+            const remaining = (connectionsPerIp.get(ip) || 1) - 1;
+            if (remaining > 0) {
+                connectionsPerIp.set(ip, remaining);
+            } else {
+                connectionsPerIp.delete(ip);
+            }
+        });
+
         const clientId = Date.now().toString(36) + Math.random().toString(36).substring(2);
-        const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
         
         // Initialize client
         ws.id = clientId;
         ws.ip = ip;
+        ws.user = req.user || anonymousUser(clientId); // Verified during the upgrade
         ws.subscriptions = []; // Start with no subscriptions - empty means no subscriptions (opt-in)
         ws.isAlive = true;
         ws.connectedAt = Date.now();
+        ws.rateLimitViolations = []; // Timestamps of refused messages, for abuse detection
         ws.pingTimeout = null; // Track ping timeout to prevent race conditions
+        ws.log = logger.child({ requestId: clientId }); // Every log line about this connection carries its id
         
         // Store client
         serverInstance.clients.set(clientId, ws);
+        serverInstance.hub.addClient(ws);
+        serverInstance.metrics.websocketOpened.inc();
         
-        console.log(`🔌 New WebSocket connection: ${clientId} from ${ip} (${serverInstance.clients.size}/${MAX_CONNECTIONS})`);
+        ws.log.info('WebSocket connected', {
+            ip,
+            userId: ws.user.id,
+            connections: serverInstance.clients.size,
+            maxConnections: MAX_CONNECTIONS
+        });
         
         // Setup heartbeat with proper error handling and timeout management
         const heartbeatInterval = setInterval(() => {
             try {
                 if (!ws.isAlive) {
-                    console.log(`💔 Client ${clientId} heartbeat failed, terminating`);
+                    ws.log.info('WebSocket heartbeat failed, terminating');
+                    serverInstance.metrics.heartbeatTerminations.inc({ reason: 'missed_pong' });
                     clearInterval(heartbeatInterval);
                     if (ws.pingTimeout) {
                         clearTimeout(ws.pingTimeout);
@@ -64,7 +150,8 @@ function setupWebSocketServer(serverInstance) {
                 // Set timeout for pong response (only one timeout at a time)
                 ws.pingTimeout = setTimeout(() => {
                     if (!ws.isAlive && ws.readyState === 1) {
-                        console.log(`💔 Client ${clientId} pong timeout, terminating`);
+                        ws.log.info('WebSocket pong timeout, terminating');
+                        serverInstance.metrics.heartbeatTerminations.inc({ reason: 'pong_timeout' });
                         clearInterval(heartbeatInterval);
                         heartbeats.delete(clientId);
                         ws.pingTimeout = null;
@@ -72,7 +159,8 @@ function setupWebSocketServer(serverInstance) {
                     }
                 }, PING_TIMEOUT);
             } catch (error) {
-                console.error(`Heartbeat error for ${clientId}:`, error);
+                ws.log.error('WebSocket heartbeat error', { error });
+                serverInstance.metrics.heartbeatTerminations.inc({ reason: 'error' });
                 clearInterval(heartbeatInterval);
                 if (ws.pingTimeout) {
                     clearTimeout(ws.pingTimeout);
@@ -91,34 +179,28 @@ function setupWebSocketServer(serverInstance) {
 
         // Send welcome message with error handling
         try {
-            ws.send(JSON.stringify({
+            serverInstance.hub.send(ws, {
                 type: 'system',
                 data: {
                     message: 'Connected to WebSocket server',
                     clientId,
+                    user: { id: ws.user.id, name: ws.user.name },
                     timestamp: new Date().toISOString(),
                     activeConnections: serverInstance.clients.size,
                     maxConnections: MAX_CONNECTIONS
                 }
-            }));
+            });
         } catch (error) {
-            console.error(`Error sending welcome message to ${clientId}:`, error);
+            ws.log.error('Error sending welcome message', { error });
         }
 
-        // Send initial metrics
-        try {
-            const metrics = {
-                type: 'metrics',
-                data: {
-                    totalRequests: serverInstance.serverStats.totalRequests,
-                    activeConnections: serverInstance.clients.size,
-                    requestsPerSecond: serverInstance.serverStats.requestsPerSecond,
-                    uptime: Math.floor((Date.now() - serverInstance.serverStats.startTime) / 1000)
-                }
-            };
-            ws.send(JSON.stringify(metrics));
-        } catch (error) {
-            console.error(`Error sending initial metrics to ${clientId}:`, error);
+        // Send initial metrics, to clients that may subscribe to them
+        if (serverInstance.policy.can(ws.user, 'subscribe:metrics')) {
+            try {
+                serverInstance.hub.send(ws, serverInstance.metricsMessage(), { topic: 'metrics' });
+            } catch (error) {
+                ws.log.error('Error sending initial metrics', { error });
+            }
         }
 
         // Message handler
@@ -127,14 +209,24 @@ function setupWebSocketServer(serverInstance) {
                 const message = JSON.parse(data);
                 handleWebSocketMessage(ws, message, serverInstance);
             } catch (error) {
-                console.error('WebSocket message error:', error);
+                if (error instanceof SyntaxError) {
+                    // Unparseable frame from the client; no stack worth logging
+                    ws.log.warn('Malformed WebSocket message', { error: error.message });
+                    serverInstance.metrics.messagesReceived.inc({ type: 'invalid' });
+                } else {
+                    ws.log.error('WebSocket message error', { error });
+                }
+                // Malformed messages count against the default bucket too
+                if (!checkRateLimit(ws, 'invalid')) {
+                    return;
+                }
                 try {
-                    ws.send(JSON.stringify({
+                    serverInstance.hub.send(ws, {
                         type: 'error',
                         data: { message: 'Invalid message format' }
-                    }));
+                    });
                 } catch (sendError) {
-                    console.error(`Error sending error message to ${clientId}:`, sendError);
+                    ws.log.error('Error sending error message', { error: sendError });
                 }
             }
         });
@@ -150,7 +242,11 @@ function setupWebSocketServer(serverInstance) {
 
         // Handle close with proper cleanup
         ws.on('close', (code, reason) => {
-            console.log(`🔌 WebSocket closed: ${clientId} (code: ${code}, reason: ${reason || 'none'})`);
+            ws.log.info('WebSocket closed', {
+                code,
+                reason: reason ? reason.toString() : null,
+                durationMs: Date.now() - ws.connectedAt
+            });
             
             // Clear heartbeat with error handling
             const heartbeat = heartbeats.get(clientId);
@@ -158,7 +254,7 @@ function setupWebSocketServer(serverInstance) {
                 try {
                     clearInterval(heartbeat);
                 } catch (error) {
-                    console.error(`Error clearing heartbeat for ${clientId}:`, error);
+                    ws.log.error('Error clearing heartbeat', { error });
                 }
                 heartbeats.delete(clientId);
             }
@@ -169,15 +265,17 @@ function setupWebSocketServer(serverInstance) {
                 ws.pingTimeout = null;
             }
             
-            // Remove from clients
+            // Remove from clients, rooms and topics
             serverInstance.clients.delete(clientId);
+            handleRoomsOnDisconnect(ws, serverInstance);
+            serverInstance.hub.removeClient(ws);
             
             // Broadcast connection count update (async, non-blocking)
             setImmediate(() => {
                 try {
                     serverInstance.broadcastMetrics();
                 } catch (error) {
-                    console.error('Error broadcasting metrics after disconnect:', error);
+                    ws.log.error('Error broadcasting metrics after disconnect', { error });
                 }
             });
             
@@ -185,18 +283,18 @@ function setupWebSocketServer(serverInstance) {
             setImmediate(() => {
                 try {
                     serverInstance.broadcastChatMessage(
-                        `User ${clientId.substring(0, 6)} disconnected`,
+                        `${ws.user.name} disconnected`,
                         'System'
                     );
                 } catch (error) {
-                    console.error('Error broadcasting disconnect message:', error);
+                    ws.log.error('Error broadcasting disconnect message', { error });
                 }
             });
         });
 
         // Handle errors
         ws.on('error', (error) => {
-            console.error(`WebSocket error for ${clientId}:`, error);
+            ws.log.error('WebSocket error', { error });
             // Clean up on error
             const heartbeat = heartbeats.get(clientId);
             if (heartbeat) {
@@ -204,17 +302,89 @@ function setupWebSocketServer(serverInstance) {
                 heartbeats.delete(clientId);
             }
             serverInstance.clients.delete(clientId);
+            handleRoomsOnDisconnect(ws, serverInstance);
+            serverInstance.hub.removeClient(ws);
             // Use serverInstance.clients.size as single source of truth
             connectionCount = serverInstance.clients.size;
         });
     });
 
     // Handle different WebSocket message types
-    function handleWebSocketMessage(ws, message, server) {
+    // Refuse messages over the rate limit; close clients that keep trying
+    function checkRateLimit(ws, type) {
+        // Messages still arriving after a rate-limit close are ignored
+        if (ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+
+        const result = checkMessageRate(ws, type);
+        if (result.allowed) {
+            return true;
+        }
+
+        const now = Date.now();
+        ws.rateLimitViolations = ws.rateLimitViolations.filter(time => now - time < violationWindow);
+        ws.rateLimitViolations.push(now);
+        if (ws.rateLimitViolations.length >= maxViolations) {
+            ws.log.warn('Closing WebSocket: rate limit exceeded repeatedly', { ip: ws.ip, maxViolations, violationWindow });
+            ws.close(1008, 'Rate limit exceeded');
+            return false;
+        }
+
+        serverInstance.hub.send(ws, {
+            type: 'error',
+            data: {
+                code: 'RATE_LIMITED',
+                message: `Too many ${type} messages, slow down`,
+                action: type,
+                retryAfter: Number.isFinite(result.retryAfter) ? result.retryAfter : null
+            }
+        });
+        return false;
+    }
+
+    function handleWebSocketMessage(ws, frame, server) {
+        const isObject = frame !== null && typeof frame === 'object';
+        // Unknown types share the 'invalid' bucket instead of getting one each
+        const type = isObject && Object.prototype.hasOwnProperty.call(messageSchemas, frame.type)
+            ? frame.type
+            : 'invalid';
+        server.metrics.messagesReceived.inc({ type });
+        if (!checkRateLimit(ws, type)) {
+            return;
+        }
+
+        // Only validated fields reach the handlers; unknown keys are stripped
+        const { value: message, details } = validateMessage(frame);
+        if (details) {
+            server.hub.send(ws, {
+                type: 'error',
+                data: {
+                    code: 'VALIDATION_FAILED',
+                    message: 'Validation failed',
+                    action: isObject && typeof frame.type === 'string' ? frame.type : null,
+                    details
+                }
+            });
+            return;
+        }
+
+        const permissionFor = Object.prototype.hasOwnProperty.call(messagePermissions, message.type)
+            ? messagePermissions[message.type]
+            : null;
+        const permission = permissionFor ? permissionFor(message.data) : null;
+        if (permission && !authorize(ws, permission, server, message.type)) {
+            return;
+        }
+
         switch (message.type) {
             case 'chat':
                 handleChatMessage(ws, message.data, server);
                 break;
+
+            case 'history':
+                handleHistory(ws, message.data, server);
+                break;
                 
             case 'draw':
                 handleDrawing(ws, message.data, server);
@@ -223,35 +393,37 @@ function setupWebSocketServer(serverInstance) {
             case 'subscribe':
                 handleSubscription(ws, message.data, server);
                 break;
+
+            case 'join':
+                handleJoin(ws, message.data, server);
+                break;
+
+            case 'leave':
+                handleLeave(ws, message.data, server);
+                break;
+
+            case 'list':
+                handleList(ws, message.data, server);
+                break;
                 
             case 'ping':
                 try {
-                    ws.send(JSON.stringify({ type: 'pong', data: { timestamp: Date.now() } }));
+                    server.hub.send(ws, { type: 'pong', data: { timestamp: Date.now() } });
                 } catch (error) {
-                    console.error(`Error sending pong to ${ws.id}:`, error);
+                    ws.log.error('Error sending pong', { error });
                 }
                 break;
-                
-            default:
-                try {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        data: { message: `Unknown message type: ${message.type}` }
-                    }));
-                } catch (error) {
-                    console.error(`Error sending error message to ${ws.id}:`, error);
-                }
         }
     }
 
     // Cleanup on server shutdown
     wss.on('close', () => {
-        console.log('WebSocket server closing, cleaning up heartbeats...');
+        logger.debug('WebSocket server closing, clearing heartbeats', { heartbeats: heartbeats.size });
         heartbeats.forEach((interval, clientId) => {
             try {
                 clearInterval(interval);
             } catch (error) {
-                console.error(`Error clearing heartbeat for ${clientId}:`, error);
+                logger.error('Error clearing heartbeat', { requestId: clientId, error });
             }
         });
         heartbeats.clear();